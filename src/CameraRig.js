@@ -0,0 +1,146 @@
+/**
+ * @module CameraRig
+ * @requires constants
+ * @requires frames
+ * @requires gl-matrix
+ */
+
+import * as constants from './constants.js';
+import { rotateFrame } from './frames.js';
+import { mat4 } from '../libs/gl-matrix.js';
+
+// Spherical linear interpolation between unit vectors, which turns at a constant rate, so
+// that repeated small steps toward a target cover the same angle as one large step.
+// Vectors that are (nearly) the same or opposite have no single turn between them, so the
+// target is returned.
+function slerp(from, to, amount) {
+  const angle = Math.acos(Math.min(Math.max(from.dot(to), -1), 1));
+  const sin = Math.sin(angle);
+  if (sin <= constants.TOLERANCE) {
+    return to.copy();
+  }
+  return from.copy().mult(Math.sin((1 - amount) * angle) / sin)
+    .add(to.copy().mult(Math.sin(amount * angle) / sin))
+    .normalize();
+}
+
+/**
+ * A camera placed and oriented by the frames of a path, for flying along a rail.
+ *
+ * The camera sits at the rail's position, looks along the direction of travel, and takes
+ * its "up" direction from the frame's binormal (so a profile swept along the same path
+ * has its own y-axis pointing up on screen). Since the frames are rotation minimizing by
+ * default, the camera banks smoothly through curves, without the sudden flips of
+ * Frenet–Serret frames or fixed-up cameras.
+ *
+ * - `lookAhead`: instead of looking along the tangent, the camera looks at the point this
+ *   far ahead on the path (in the rail's direction of travel), so it turns into curves
+ *   before it reaches them. Near the end of an open path, where there's nothing left to
+ *   look at, it looks along the tangent.
+ * - `roll`: an angle, in radians, by which the up direction is rotated about the tangent,
+ *   in the same sense as `rotateFrame()` in the frames module.
+ * - `smoothing`: a time constant for smoothing the look direction, in the same units of
+ *   time as the updates. The look direction approaches its target exponentially, covering
+ *   about 63% of the remaining angle in each `smoothing` interval, independently of the
+ *   frame rate. A smoothing of `0` turns it off.
+ *
+ * View matrices are made with gl-matrix's `mat4.lookAt()`, so they follow its conventions:
+ * the camera looks down its negative z-axis, with its y-axis up.
+ */
+export class CameraRig {
+  rail;
+  lookAhead;
+  roll;
+  smoothing;
+  #direction = null;
+
+  /**
+   * Create a camera rig.
+   * @param {Rail} rail - The rail that carries the camera.
+   * @param {Object} [options]
+   * @param {number} [options.lookAhead=0] - The distance ahead on the path to look at, or
+   *   `0` to look along the tangent.
+   * @param {number} [options.roll=0] - The roll angle, in radians.
+   * @param {number} [options.smoothing=0] - The time constant for smoothing the look
+   *   direction, or `0` for no smoothing.
+   */
+  constructor(rail, { lookAhead = 0, roll = 0, smoothing = 0 } = {}) {
+    this.rail = rail;
+    this.lookAhead = lookAhead;
+    this.roll = roll;
+    this.smoothing = smoothing;
+  }
+
+  /**
+   * Forget the smoothed look direction, so that the next view looks straight at its
+   * target. This is useful after the camera jumps to a different place on the path.
+   */
+  reset() {
+    this.#direction = null;
+  }
+
+  // the unit direction the camera should look in, before smoothing
+  #targetDirection(frame, length) {
+    const { rail } = this;
+    const forward = frame.tangent.copy().mult(rail.direction);
+    if (this.lookAhead <= 0) {
+      return forward;
+    }
+
+    let aheadLength = length + this.lookAhead * rail.direction;
+    const pathLength = rail.pathLength;
+    if (rail.isClosed && pathLength > 0) {
+      aheadLength = ((aheadLength % pathLength) + pathLength) % pathLength;
+    }
+    const ahead = rail.shape.getFrameAtLength(aheadLength, rail.contoursIndex);
+    const toAhead = ahead.position.copy().sub(frame.position);
+    return toAhead.mag() > constants.TOLERANCE ? toAhead.normalize() : forward;
+  }
+
+  /**
+   * Compute the camera's view at a distance along the rail's contour.
+   * @param {number} length - The distance along the contour.
+   * @param {number} [dt=0] - The time since the last view, for smoothing.
+   * @return {Object|null} - The camera's `eye` (its position), the `target` it looks at,
+   *   its `up` direction, the `frame` at its position, and the view `matrix`. Returns
+   *   `null` if the contour has no segments.
+   */
+  viewAt(length, dt = 0) {
+    const { rail } = this;
+    const frame = rail.shape.getFrameAtLength(length, rail.contoursIndex);
+    if (frame === null) {
+      return null;
+    }
+
+    const targetDirection = this.#targetDirection(frame, length);
+    this.#direction = this.#direction === null || this.smoothing <= 0 ?
+      targetDirection :
+      slerp(this.#direction, targetDirection, 1 - Math.exp(-dt / this.smoothing));
+    const direction = this.#direction.copy();
+
+    // the rolled binormal, made perpendicular to the look direction; if it's parallel to
+    // the look direction, the rolled normal is used instead
+    const rolled = rotateFrame(frame, this.roll);
+    let up = rolled.binormal.sub(direction.copy().mult(direction.dot(rolled.binormal)));
+    if (up.mag() <= constants.TOLERANCE) {
+      up = rolled.normal.sub(direction.copy().mult(direction.dot(rolled.normal)));
+    }
+    up.normalize();
+
+    const eye = frame.position.copy();
+    const target = eye.copy().add(direction);
+    const matrix = mat4.lookAt(mat4.create(), eye.array(), target.array(), up.array());
+    return { eye, target, up, frame, matrix };
+  }
+
+  /**
+   * Advance the rail (see `Rail.update()`) and compute the camera's view where it
+   * arrives.
+   * @param {number} dt - The time since the last update.
+   * @return {Object|null} - The view, as returned by `viewAt()`.
+   */
+  update(dt) {
+    this.rail.update(dt);
+    return this.viewAt(this.rail.length, dt);
+  }
+}
@@ -2,5 +2,30 @@
  * @module Color
  */
 
-// May need to implement a mock `Color` class.
-// See `hydrateValue()` method of `Shape` in `custom-shapes.js`
\ No newline at end of file
+/**
+ * A minimal class representing a color with four components (red, green, blue, alpha).
+ * Only behavior required for the RMF Engine's proof of concept is supported. In the context
+ * of shapes.js, this class serves as a drop-in replacement for p5.Color.
+ *
+ * Note: For simplicity and performance, parameters are not validated.
+ */
+export class Color {
+  #array;
+
+  /**
+   * Create a color.
+   * @param {number[]} array - The components of the color, as `[red, green, blue, alpha]`.
+   */
+  constructor(array) {
+    this.#array = [...array];
+  }
+
+  /**
+   * Convert the color to an array. Returns a copy, not a reference,
+   * to prevent corruption of the underlying data.
+   * @return {number[]} An array containing the components of the color.
+   */
+  array() {
+    return [...this.#array];
+  }
+}
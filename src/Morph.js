@@ -0,0 +1,164 @@
+/**
+ * @module Morph
+ * @requires constants
+ */
+
+import * as constants from './constants.js';
+
+// indices of the path contours of a shape that have something to measure along
+function pathContourIndices(shape) {
+  const indices = [];
+  shape.contours.forEach((contour, i) => {
+    const isPath = contour.kind === constants.PATH || contour.kind === constants.SWEEP;
+    if (isPath && shape.getLocationAtLength(0, i) !== null) {
+      indices.push(i);
+    }
+  });
+  return indices;
+}
+
+// vertices at evenly spaced fractions of a contour's length
+function sampleContour(shape, contoursIndex, count, isClosed) {
+  const length = shape.getTotalLength(contoursIndex);
+  const intervals = isClosed ? count : Math.max(count - 1, 1);
+  const vertices = [];
+  for (let k = 0; k < count; k++) {
+    vertices.push(shape.getVertexAtLength(length * k / intervals, contoursIndex));
+  }
+  return vertices;
+}
+
+// copies of vertices, all moved to their centroid, for a contour that grows or shrinks
+function collapse(vertices) {
+  const centroid = vertices[0].position.copy().mult(0);
+  for (const vertex of vertices) {
+    centroid.add(vertex.position);
+  }
+  centroid.mult(1 / vertices.length);
+  return vertices.map(vertex => ({ ...vertex, position: centroid.copy() }));
+}
+
+// the rotation of a closed contour's vertices that minimizes the total squared distance
+// they travel to the vertices of the other contour
+function bestRotation(from, to) {
+  let best = 0;
+  let bestTravel = Infinity;
+  for (let shift = 0; shift < to.length; shift++) {
+    let travel = 0;
+    for (let k = 0; k < from.length && travel < bestTravel; k++) {
+      const distance = from[k].position.dist(to[(k + shift) % to.length].position);
+      travel += distance * distance;
+    }
+    if (travel < bestTravel) {
+      best = shift;
+      bestTravel = travel;
+    }
+  }
+  return best;
+}
+
+/**
+ * A morph between two shapes, which may have different numbers of contours and primitives.
+ *
+ * Points on the two shapes correspond when they're at the same fraction of the length of
+ * their contours (normalized arc length). Each path contour, including the spine of a
+ * sweep, is sampled at `samples` evenly spaced fractions, with all of its vertex
+ * properties, and the samples are blended linearly. Contours are paired in order; if one
+ * shape has more path contours than the other, each extra contour grows from (or shrinks
+ * to) its centroid.
+ *
+ * A closed contour may start anywhere, so when both contours of a pair are closed, the
+ * start of the second is moved (by default) to the sample that minimizes the total squared
+ * distance traveled during the morph. If only one of them is closed, it's treated as an
+ * open path from its start back around to its start.
+ *
+ * Vertex properties are blended if both shapes' vertices have them with the same number
+ * of components; otherwise the first shape's properties are kept.
+ */
+export class Morph {
+  #from;
+  #pairs = [];
+
+  /**
+   * Create a morph.
+   * @param {Shape} from - The shape at the start of the morph.
+   * @param {Shape} to - The shape at the end of the morph.
+   * @param {Object} [options]
+   * @param {number} [options.samples=64] - The number of samples along each contour.
+   * @param {boolean} [options.rotateStart=true] - Whether to move the start of a closed
+   *   contour to minimize travel.
+   */
+  constructor(from, to, { samples = 64, rotateStart = true } = {}) {
+    this.#from = from;
+    const fromIndices = pathContourIndices(from);
+    const toIndices = pathContourIndices(to);
+
+    for (let i = 0; i < Math.max(fromIndices.length, toIndices.length); i++) {
+      const fromIndex = fromIndices[i];
+      const toIndex = toIndices[i];
+      const isClosed = (fromIndex === undefined || from.contours[fromIndex].isClosed) &&
+        (toIndex === undefined || to.contours[toIndex].isClosed);
+
+      let fromVertices = fromIndex === undefined ?
+        null :
+        sampleContour(from, fromIndex, samples, isClosed);
+      let toVertices = toIndex === undefined ?
+        null :
+        sampleContour(to, toIndex, samples, isClosed);
+      const canRotate = isClosed && rotateStart && fromVertices !== null && toVertices !== null;
+      fromVertices ??= collapse(toVertices);
+      toVertices ??= collapse(fromVertices);
+
+      if (canRotate) {
+        const shift = bestRotation(fromVertices, toVertices);
+        toVertices = [...toVertices.slice(shift), ...toVertices.slice(0, shift)];
+      }
+      this.#pairs.push({ isClosed, fromVertices, toVertices });
+    }
+  }
+
+  // blends the properties of two vertices, keeping the first vertex's if they don't match
+  #blendVertices(fromVertex, toVertex, amount) {
+    const shape = this.#from;
+    const vertex = {};
+    for (const [key, value] of Object.entries(fromVertex)) {
+      const fromArray = shape.serializeToArray(value);
+      const toArray = key in toVertex ? shape.serializeToArray(toVertex[key]) : [];
+      if (fromArray.length === 0 || fromArray.length !== toArray.length) {
+        vertex[key] = value;
+        continue;
+      }
+      const blended = fromArray.map((component, i) =>
+        component + (toArray[i] - component) * amount
+      );
+      vertex[key] = shape.hydrateValue(blended, value);
+    }
+    return vertex;
+  }
+
+  /**
+   * Create the shape at a point in the morph. The shape has the vertex properties and
+   * settings of the first shape, and one path contour per pair of contours, made of line
+   * segments between the blended samples.
+   * @param {number} amount - How far the morph has progressed: `0` gives the samples of
+   *   the first shape and `1` gives the samples of the second shape.
+   * @return {Shape} - The blended shape.
+   */
+  shapeAt(amount) {
+    const result = this.#from._emptyCopy();
+    this.#pairs.forEach(({ isClosed, fromVertices, toVertices }, i) => {
+      if (i === 0) {
+        result.beginShape();
+      } else {
+        result.beginContour();
+      }
+      fromVertices.forEach((fromVertex, k) => {
+        const vertex = this.#blendVertices(fromVertex, toVertices[k], amount);
+        this.#from._addVertexTo(result, vertex);
+      });
+      result.endContour(isClosed ? constants.CLOSE : constants.OPEN);
+    });
+    result.endShape();
+    return result;
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * @module Rail
+ * @requires constants
+ */
+
+import * as constants from './constants.js';
+
+// remainder with the sign of the divisor, so that lengths wrap into [0, divisor)
+function wrap(value, divisor) {
+  return ((value % divisor) + divisor) % divisor;
+}
+
+/**
+ * A follower that travels along a path contour of a shape, such as a camera dolly or a
+ * car on a track, and keeps track of its own playback state.
+ *
+ * A rail has a current `length` along the contour, a `speed` (in units of length per unit
+ * of time), and a `direction`: `1` to travel toward the end of the contour, or `-1` to
+ * travel toward its start. Each call to `update(dt)` advances the follower by
+ * `speed * dt` in its direction, if it's playing, and returns the frame where it is.
+ *
+ * What happens at the ends of the contour is set by `ends`:
+ * - `CLAMP`: the follower stops at the end, and stays there until it's turned around or
+ *   moved.
+ * - `LOOP`: the follower continues from the other end. On a closed contour, this is a
+ *   seamless wraparound, since the frames at the two ends agree.
+ * - `PING_PONG`: the follower turns around at each end, and its direction flips.
+ *
+ * By default, followers loop on closed contours and clamp on open contours. Frames are
+ * oriented along the contour, as returned by `getFrameAtLength()`, whatever the direction
+ * of travel.
+ *
+ * Lengths are always read from the shape, so a rail keeps working while the shape is being
+ * edited. If the contour gets shorter, the follower is kept on it.
+ */
+export class Rail {
+  shape;
+  contoursIndex;
+  speed;
+  direction;
+  ends;
+  #length;
+  #isPlaying;
+
+  /**
+   * Create a rail.
+   * @param {Shape} shape - The shape to follow.
+   * @param {Object} [options]
+   * @param {number} [options.contoursIndex=0] - The index of the path contour to follow.
+   * @param {number} [options.length=0] - The starting distance along the contour.
+   * @param {number} [options.speed=1] - The distance traveled per unit of time.
+   * @param {number} [options.direction=1] - `1` to travel forward, or `-1` to travel
+   *   backward.
+   * @param {string} [options.ends] - `CLAMP`, `LOOP`, or `PING_PONG`. Defaults to `LOOP`
+   *   on closed contours and `CLAMP` on open contours.
+   * @param {boolean} [options.playing=true] - Whether the follower starts out playing.
+   */
+  constructor(shape, {
+    contoursIndex = 0,
+    length = 0,
+    speed = 1,
+    direction = 1,
+    ends,
+    playing = true
+  } = {}) {
+    this.shape = shape;
+    this.contoursIndex = contoursIndex;
+    this.speed = speed;
+    this.direction = direction;
+    this.ends = ends ?? (this.isClosed ? constants.LOOP : constants.CLAMP);
+    this.#isPlaying = playing;
+    this.length = length;
+  }
+
+  /**
+   * The length of the contour being followed.
+   * @type {number}
+   */
+  get pathLength() {
+    return this.shape.getTotalLength(this.contoursIndex);
+  }
+
+  /**
+   * Whether the contour being followed is closed.
+   * @type {boolean}
+   */
+  get isClosed() {
+    return this.shape.contours[this.contoursIndex]?.isClosed ?? false;
+  }
+
+  /**
+   * The distance along the contour to the follower. Setting it moves the follower there,
+   * with the rail's end behavior applied to lengths past the ends.
+   * @type {number}
+   */
+  get length() {
+    return Math.min(this.#length, this.pathLength);
+  }
+
+  set length(length) {
+    this.#length = this.#applyEnds(length);
+  }
+
+  /**
+   * The fraction of the contour's length that the follower has covered, in [0, 1].
+   * @type {number}
+   */
+  get progress() {
+    const pathLength = this.pathLength;
+    return pathLength > 0 ? this.length / pathLength : 0;
+  }
+
+  /**
+   * Whether the follower moves when the rail is updated.
+   * @type {boolean}
+   */
+  get isPlaying() {
+    return this.#isPlaying;
+  }
+
+  /**
+   * Whether the follower has stopped at the end it's traveling toward, in `CLAMP` mode.
+   * @type {boolean}
+   */
+  get isAtEnd() {
+    if (this.ends !== constants.CLAMP) {
+      return false;
+    }
+    return this.direction > 0 ? this.length >= this.pathLength : this.length <= 0;
+  }
+
+  /**
+   * Start moving on updates.
+   */
+  play() {
+    this.#isPlaying = true;
+  }
+
+  /**
+   * Stop moving on updates.
+   */
+  pause() {
+    this.#isPlaying = false;
+  }
+
+  /**
+   * Turn the follower around.
+   */
+  reverse() {
+    this.direction = -this.direction;
+  }
+
+  // Maps a length that may be past the ends of the contour onto it. In PING_PONG mode,
+  // this also flips the direction once per turn.
+  #applyEnds(length) {
+    const pathLength = this.pathLength;
+    if (!(pathLength > 0)) {
+      return 0;
+    }
+
+    switch (this.ends) {
+      case constants.LOOP:
+        return wrap(length, pathLength);
+      case constants.PING_PONG: {
+        const turns = Math.floor(length / pathLength);
+        if (turns % 2 !== 0) {
+          this.direction = -this.direction;
+        }
+        const folded = wrap(length, 2 * pathLength);
+        return folded <= pathLength ? folded : 2 * pathLength - folded;
+      }
+      case constants.CLAMP:
+        return Math.min(Math.max(length, 0), pathLength);
+      default:
+        throw new Error(`Unknown end behavior for a rail: ${this.ends}.`);
+    }
+  }
+
+  /**
+   * The frame where the follower is, as returned by `getFrameAtLength()`, or `null` if
+   * the contour has no segments.
+   * @type {Object|null}
+   */
+  get frame() {
+    return this.shape.getFrameAtLength(this.length, this.contoursIndex);
+  }
+
+  /**
+   * Advance the follower, if it's playing.
+   * @param {number} dt - The time since the last update.
+   * @return {Object|null} - The frame where the follower is, as returned by
+   *   `getFrameAtLength()`, or `null` if the contour has no segments.
+   */
+  update(dt) {
+    if (this.#isPlaying) {
+      this.length = this.length + this.speed * this.direction * dt;
+    }
+    return this.frame;
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * @module Train
+ */
+
+/**
+ * The state of one follower in a train, as returned by `Train.followers`.
+ *
+ * @typedef {Object} Follower
+ * @property {number} index - The index of the follower in the train.
+ * @property {number} offset - The follower's offset behind the rail's position.
+ * @property {number} length - The distance along the contour to the follower.
+ * @property {boolean} isOnPath - Whether the follower's place is on the contour. On an open
+ *   contour, followers whose offsets put them past an end are held at that end, and this
+ *   is `false`.
+ * @property {Object|null} frame - The frame at the follower's place, as returned by
+ *   `getFrameAtLength()`, or `null` if the contour has no segments.
+ */
+
+/**
+ * A train of followers, such as the cars of a roller coaster or the items on a conveyor,
+ * that travel together along the contour of a rail.
+ *
+ * The rail's position leads the train, and each follower keeps a fixed offset behind it:
+ * its `length` is the rail's length minus its offset. Offsets are distances along the
+ * contour, so followers stay exactly as far apart along the path as their offsets say,
+ * however tightly it curves, and each gets its own frame at its place. On a closed
+ * contour, followers that are behind the start of the contour continue from its end, so
+ * the train runs seamlessly across the seam.
+ *
+ * Offsets are measured toward the start of the contour, whatever the rail's direction.
+ * So if a ping-pong rail turns around, the train backs up without its followers changing
+ * places. To lead a train that travels backward, use negative offsets.
+ */
+export class Train {
+  rail;
+  offsets;
+
+  /**
+   * Create a train.
+   * @param {Rail} rail - The rail whose position leads the train.
+   * @param {Object} [options]
+   * @param {number} [options.count=1] - The number of followers, if they're evenly spaced.
+   * @param {number} [options.spacing=0] - The distance between neighboring followers, if
+   *   they're evenly spaced. The first follower is at the rail's position.
+   * @param {number[]} [options.offsets] - The offset of each follower behind the rail's
+   *   position. Overrides `count` and `spacing`.
+   */
+  constructor(rail, { count = 1, spacing = 0, offsets } = {}) {
+    this.rail = rail;
+    this.offsets = offsets ?? Array.from({ length: count }, (_, index) => index * spacing);
+  }
+
+  /**
+   * The state of each follower.
+   * @type {Follower[]}
+   */
+  get followers() {
+    const { rail } = this;
+    const pathLength = rail.pathLength;
+    const leadLength = rail.length;
+    const isClosed = rail.isClosed && pathLength > 0;
+
+    return this.offsets.map((offset, index) => {
+      let length = leadLength - offset;
+      let isOnPath = true;
+      if (isClosed) {
+        length = ((length % pathLength) + pathLength) % pathLength;
+      } else if (length < 0 || length > pathLength) {
+        length = Math.min(Math.max(length, 0), pathLength);
+        isOnPath = false;
+      }
+      return {
+        index,
+        offset,
+        length,
+        isOnPath,
+        frame: rail.shape.getFrameAtLength(length, rail.contoursIndex)
+      };
+    });
+  }
+
+  /**
+   * Advance the rail (see `Rail.update()`) and find where the followers arrive.
+   * @param {number} dt - The time since the last update.
+   * @return {Follower[]} - The state of each follower.
+   */
+  update(dt) {
+    this.rail.update(dt);
+    return this.followers;
+  }
+}
@@ -70,6 +70,94 @@ export class Vector {
       this.#array[2] = value;
   }
 
+  /**
+   * Create a copy of the vector.
+   * @return {Vector} - A new vector with the same components.
+   */
+  copy() {
+    return new Vector(this.x, this.y, this.z);
+  }
+
+  /**
+   * Add a given vector to the vector. Like p5.Vector, this mutates the vector.
+   * @param {Vector} vector - The given vector.
+   * @return {Vector} - The vector itself, to allow chaining.
+   */
+  add(vector) {
+    this.x += vector.x;
+    this.y += vector.y;
+    this.z += vector.z;
+    return this;
+  }
+
+  /**
+   * Subtract a given vector from the vector. Like p5.Vector, this mutates the vector.
+   * @param {Vector} vector - The given vector.
+   * @return {Vector} - The vector itself, to allow chaining.
+   */
+  sub(vector) {
+    this.x -= vector.x;
+    this.y -= vector.y;
+    this.z -= vector.z;
+    return this;
+  }
+
+  /**
+   * Multiply the vector by a scalar. Like p5.Vector, this mutates the vector.
+   * @param {number} scalar - The scalar.
+   * @return {Vector} - The vector itself, to allow chaining.
+   */
+  mult(scalar) {
+    this.x *= scalar;
+    this.y *= scalar;
+    this.z *= scalar;
+    return this;
+  }
+
+  /**
+   * The dot product of the vector and a given vector.
+   * @param {Vector} vector - The given vector.
+   * @return {number} - The dot product.
+   */
+  dot(vector) {
+    return this.x * vector.x + this.y * vector.y + this.z * vector.z;
+  }
+
+  /**
+   * The cross product of the vector and a given vector. Like p5.Vector, this returns
+   * a new vector rather than mutating the vector.
+   * @param {Vector} vector - The given vector.
+   * @return {Vector} - The cross product.
+   */
+  cross(vector) {
+    return new Vector(
+      this.y * vector.z - this.z * vector.y,
+      this.z * vector.x - this.x * vector.z,
+      this.x * vector.y - this.y * vector.x
+    );
+  }
+
+  /**
+   * The magnitude (length) of the vector.
+   * @return {number} - The magnitude.
+   */
+  mag() {
+    return Math.hypot(this.x, this.y, this.z);
+  }
+
+  /**
+   * Scale the vector to have a magnitude of 1. Like p5.Vector, this mutates the vector,
+   * and a zero vector is left unchanged.
+   * @return {Vector} - The vector itself, to allow chaining.
+   */
+  normalize() {
+    const magnitude = this.mag();
+    if (magnitude !== 0) {
+      this.mult(1 / magnitude);
+    }
+    return this;
+  }
+
   /**
    * The distance between the vector and a given vector.
    * @param {Vector} vector - The given vector.
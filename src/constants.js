@@ -9,4 +9,196 @@
  */
 export const TOLERANCE = 0.001;
 
-// See custom-shapes.js for other constants that need to be included.
\ No newline at end of file
+// ---- SHAPE KINDS ----
+
+/**
+ * The shape kind for paths made from polylines, Bézier curves, and splines.
+ * @constant {string}
+ * @default
+ */
+export const PATH = 'path';
+
+/**
+ * The kind of a path contour that doesn't contain any primitives yet.
+ * @constant {string}
+ * @default
+ */
+export const EMPTY_PATH = 'empty_path';
+
+/**
+ * The shape kind for triangle strips. Matches `gl.TRIANGLE_STRIP`.
+ * @constant {number}
+ * @default
+ */
+export const TRIANGLE_STRIP = 0x0005;
+
+/**
+ * The shape kind for sweep geometries, which sweep a 2D slice along a spine made from
+ * polylines, Bézier curves, and splines.
+ * @constant {string}
+ * @default
+ */
+export const SWEEP = 'sweep';
+
+// ---- CLOSE MODES ----
+
+/**
+ * The close mode for contours that are left open by `endContour()`/`endShape()`.
+ * @constant {string}
+ * @default
+ */
+export const OPEN = 'open';
+
+/**
+ * The close mode for contours that are closed by `endContour()`/`endShape()`.
+ * @constant {string}
+ * @default
+ */
+export const CLOSE = 'close';
+
+// ---- SPLINE ENDS ----
+
+/**
+ * Spline ends setting: the spline passes through its first and last vertices.
+ * @constant {symbol}
+ */
+export const INCLUDE = Symbol('include');
+
+/**
+ * Spline ends setting: the first and last vertices only act as control points.
+ * @constant {symbol}
+ */
+export const EXCLUDE = Symbol('exclude');
+
+/**
+ * Spline ends setting: the spline wraps around to form a closed loop.
+ * @constant {symbol}
+ */
+export const JOIN = Symbol('join');
+
+// ---- FRAME MODES ----
+
+/**
+ * Frame mode for rotation minimizing frames, which minimize twist. This is the default
+ * mode for sweeps.
+ * @constant {string}
+ * @default
+ */
+export const FREE = 'free';
+
+/**
+ * Frame mode for Frenet–Serret frames, whose normal follows the curvature of the path.
+ * @constant {string}
+ * @default
+ */
+export const FRENET = 'frenet';
+
+/**
+ * Frame mode for frames that keep a consistent "up" direction, which prevents banking
+ * (e.g. on a road).
+ * @constant {string}
+ * @default
+ */
+export const FIXED = 'fixed';
+
+// ---- SWEEP SLICES ----
+
+/**
+ * Slice shape for sweeps: a circle, described by `{ shape: CIRCLE, x, y, radius }`.
+ * @constant {string}
+ * @default
+ */
+export const CIRCLE = 'circle';
+
+// ---- TEXT ON PATHS ----
+
+/**
+ * Alignment of text on a path: the text starts at the start offset.
+ * @constant {string}
+ * @default
+ */
+export const LEFT = 'left';
+
+/**
+ * Alignment of text on a path: the text is centered on the start offset.
+ * @constant {string}
+ * @default
+ */
+export const CENTER = 'center';
+
+/**
+ * Alignment of text on a path: the text ends at the start offset.
+ * @constant {string}
+ * @default
+ */
+export const RIGHT = 'right';
+
+/**
+ * Overflow mode for text on a path: glyphs that don't fit on the path are left out.
+ * @constant {string}
+ * @default
+ */
+export const CLIP = 'clip';
+
+/**
+ * Overflow mode for text on a path: on a closed path, glyphs that run past the end
+ * continue from the start.
+ * @constant {string}
+ * @default
+ */
+export const WRAP = 'wrap';
+
+/**
+ * Overflow mode for text on a path: text that doesn't fit on the path is compressed
+ * until it does.
+ * @constant {string}
+ * @default
+ */
+export const SQUEEZE = 'squeeze';
+
+// ---- EASING ----
+
+/**
+ * Easing mode: the change starts slowly and speeds up.
+ * @constant {string}
+ * @default
+ */
+export const EASE_IN = 'ease-in';
+
+/**
+ * Easing mode: the change starts quickly and slows down.
+ * @constant {string}
+ * @default
+ */
+export const EASE_OUT = 'ease-out';
+
+/**
+ * Easing mode: the change starts slowly, speeds up, and slows down again.
+ * @constant {string}
+ * @default
+ */
+export const EASE_IN_OUT = 'ease-in-out';
+
+// ---- RAILS ----
+
+/**
+ * End behavior for a rail: the follower stops when it reaches an end of the path.
+ * @constant {string}
+ * @default
+ */
+export const CLAMP = 'clamp';
+
+/**
+ * End behavior for a rail: the follower continues from the other end of the path. On a
+ * closed path, it wraps around seamlessly.
+ * @constant {string}
+ * @default
+ */
+export const LOOP = 'loop';
+
+/**
+ * End behavior for a rail: the follower turns around at each end of the path.
+ * @constant {string}
+ * @default
+ */
+export const PING_PONG = 'ping-pong';
@@ -0,0 +1,360 @@
+/**
+ * @module easing
+ * @requires constants
+ */
+
+import * as constants from './constants.js';
+
+/*
+ * An easing function maps progress in [0, 1] to eased progress, with 0 mapped to 0 and 1
+ * mapped to 1. In between, eased progress may leave [0, 1], e.g. to overshoot the target
+ * and come back. Applied to progress along a path's arc length (see easedTraversalAt()),
+ * eased progress maps directly to distance, so the timing of the motion is exactly the
+ * easing curve, however the path is shaped or parameterized.
+ *
+ * Most easings are defined by how they start (the EASE_IN form), and the other modes are
+ * derived from that: EASE_OUT plays the EASE_IN curve backward, and EASE_IN_OUT plays the
+ * EASE_IN curve over the first half and the EASE_OUT curve over the second half.
+ */
+
+// an easing function in the given mode, from its EASE_IN form
+function withMode(easeIn, mode) {
+  switch (mode) {
+    case constants.EASE_IN:
+      return easeIn;
+    case constants.EASE_OUT:
+      return progress => 1 - easeIn(1 - progress);
+    case constants.EASE_IN_OUT:
+      return progress => progress < 0.5 ?
+        easeIn(2 * progress) / 2 :
+        1 - easeIn(2 - 2 * progress) / 2;
+    default:
+      throw new Error(`Unknown easing mode: ${mode}.`);
+  }
+}
+
+/**
+ * The identity easing, for constant speed.
+ *
+ * @param {number} progress - Progress in [0, 1].
+ * @return {number} - The same progress.
+ */
+export function linear(progress) {
+  return progress;
+}
+
+/**
+ * Cubic easing: progress cubed, in the EASE_IN mode.
+ *
+ * @param {string} [mode=EASE_IN_OUT] - `EASE_IN`, `EASE_OUT`, or `EASE_IN_OUT`.
+ * @return {function(number): number} - The easing function.
+ */
+export function cubic(mode = constants.EASE_IN_OUT) {
+  return withMode(progress => progress * progress * progress, mode);
+}
+
+/**
+ * Easing that backs up before it sets off, in the EASE_IN mode, or overshoots its target
+ * and comes back, in the EASE_OUT mode.
+ *
+ * @param {string} [mode=EASE_OUT] - `EASE_IN`, `EASE_OUT`, or `EASE_IN_OUT`.
+ * @param {Object} [options]
+ * @param {number} [options.overshoot=1.70158] - How far to back up. The default backs up
+ *   by about 10% of the distance.
+ * @return {function(number): number} - The easing function.
+ */
+export function back(mode = constants.EASE_OUT, { overshoot = 1.70158 } = {}) {
+  return withMode(
+    progress => progress * progress * ((overshoot + 1) * progress - overshoot),
+    mode
+  );
+}
+
+/**
+ * Easing that oscillates around its target like a plucked rubber band, with oscillations
+ * that decay exponentially. In the EASE_OUT mode, it shoots past the target and settles
+ * onto it.
+ *
+ * @param {string} [mode=EASE_OUT] - `EASE_IN`, `EASE_OUT`, or `EASE_IN_OUT`.
+ * @param {Object} [options]
+ * @param {number} [options.amplitude=1] - The size of the oscillations, relative to the
+ *   distance. Amplitudes less than 1 are treated as 1.
+ * @param {number} [options.period=0.3] - The length of an oscillation, as a fraction of
+ *   the whole easing.
+ * @return {function(number): number} - The easing function.
+ */
+export function elastic(mode = constants.EASE_OUT, { amplitude = 1, period = 0.3 } = {}) {
+  const a = Math.max(amplitude, 1);
+  const phase = period / (2 * Math.PI) * Math.asin(1 / a);
+  return withMode(progress => {
+    if (progress <= 0 || progress >= 1) {
+      return progress <= 0 ? 0 : 1;
+    }
+    const shifted = progress - 1;
+    return -a * Math.pow(2, 10 * shifted) *
+      Math.sin((shifted - phase) * 2 * Math.PI / period);
+  }, mode);
+}
+
+// a ball dropped onto the target, bouncing with decreasing heights
+function bounceOut(progress) {
+  const n = 7.5625;
+  const d = 2.75;
+  if (progress < 1 / d) {
+    return n * progress * progress;
+  } else if (progress < 2 / d) {
+    const p = progress - 1.5 / d;
+    return n * p * p + 0.75;
+  } else if (progress < 2.5 / d) {
+    const p = progress - 2.25 / d;
+    return n * p * p + 0.9375;
+  }
+  const p = progress - 2.625 / d;
+  return n * p * p + 0.984375;
+}
+
+/**
+ * Easing that bounces on its target like a dropped ball, in the EASE_OUT mode. Unlike
+ * the other easings, it never leaves [0, 1].
+ *
+ * @param {string} [mode=EASE_OUT] - `EASE_IN`, `EASE_OUT`, or `EASE_IN_OUT`.
+ * @return {function(number): number} - The easing function.
+ */
+export function bounce(mode = constants.EASE_OUT) {
+  return withMode(progress => 1 - bounceOut(1 - progress), mode);
+}
+
+/**
+ * Easing that follows a mass on a damped spring, released at rest from the start and
+ * pulled toward the target.
+ *
+ * The motion is the exact solution of the spring's equation of motion, so the usual
+ * physical parameters apply: a stiffer spring moves faster, and a spring with less damping
+ * oscillates more. It's underdamped (it overshoots and oscillates) if
+ * `damping < 2 * sqrt(stiffness * mass)`, and overdamped (it creeps toward the target)
+ * otherwise.
+ *
+ * Progress in [0, 1] covers `duration` units of the spring's time. By default, that's the
+ * time it takes for the spring to settle to within 0.1% of the distance. The small
+ * remaining error is corrected linearly, so that the easing ends exactly on its target.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.stiffness=100] - The spring constant, which must be positive.
+ * @param {number} [options.damping=10] - The damping coefficient, which must not be
+ *   negative.
+ * @param {number} [options.mass=1] - The mass, which must be positive.
+ * @param {number} [options.duration] - The span of the spring's time covered by the
+ *   easing. Required if there's no damping, since the spring then never settles.
+ * @return {function(number): number} - The easing function.
+ */
+export function spring({ stiffness = 100, damping = 10, mass = 1, duration } = {}) {
+  if (!(stiffness > 0) || !(mass > 0) || !(damping >= 0)) {
+    throw new Error(
+      'spring() requires a positive stiffness and mass, and a damping that isn\'t negative.'
+    );
+  }
+  const naturalFrequency = Math.sqrt(stiffness / mass);
+  const dampingRatio = damping / (2 * Math.sqrt(stiffness * mass));
+
+  // displacement from the start, and the rate at which the slowest part of it decays
+  let position;
+  let decayRate;
+  if (dampingRatio < 1) {
+    const frequency = naturalFrequency * Math.sqrt(1 - dampingRatio * dampingRatio);
+    decayRate = dampingRatio * naturalFrequency;
+    position = time => 1 - Math.exp(-decayRate * time) * (
+      Math.cos(frequency * time) + decayRate / frequency * Math.sin(frequency * time)
+    );
+  } else if (dampingRatio === 1) {
+    decayRate = naturalFrequency;
+    position = time => 1 - Math.exp(-decayRate * time) * (1 + decayRate * time);
+  } else {
+    const root = naturalFrequency * Math.sqrt(dampingRatio * dampingRatio - 1);
+    const slow = -naturalFrequency * dampingRatio + root;
+    const fast = -naturalFrequency * dampingRatio - root;
+    decayRate = -slow;
+    position = time => 1 - (fast * Math.exp(slow * time) - slow * Math.exp(fast * time)) /
+      (fast - slow);
+  }
+
+  if (duration === undefined) {
+    if (decayRate === 0) {
+      throw new Error('spring() requires a duration when there is no damping.');
+    }
+    duration = Math.log(1000) / decayRate;
+  }
+  const endError = 1 - position(duration);
+  return progress => position(progress * duration) + endError * progress;
+}
+
+/**
+ * Easing that moves in equal jumps, like the hand of a clock, which is useful for
+ * stop-motion effects and for landing on evenly spaced marks along a path.
+ *
+ * @param {number} count - The number of jumps, which must be a positive integer.
+ * @param {Object} [options]
+ * @param {boolean} [options.atStart=false] - Whether each jump happens at the start of
+ *   its interval, rather than at the end. Either way, the easing ends at 1.
+ * @return {function(number): number} - The easing function.
+ */
+export function steps(count, { atStart = false } = {}) {
+  if (!(Number.isInteger(count) && count > 0)) {
+    throw new Error(`steps() requires a positive integer count, but got ${count}.`);
+  }
+  return progress => {
+    if (progress >= 1) {
+      return 1;
+    }
+    const step = atStart ? Math.ceil(progress * count) : Math.floor(progress * count);
+    return Math.max(step, 0) / count;
+  };
+}
+
+/**
+ * The state of a traversal along a path at a moment, as returned by
+ * {@link easedTraversalAt} and {@link chainedTraversalAt}.
+ *
+ * @typedef {Object} TraversalState
+ * @property {number} progress - The progress through the traversal (or through the
+ *   current leg), before easing.
+ * @property {number} easedProgress - The progress after easing.
+ * @property {number} length - The distance along the shape's paths to the current point.
+ *   Overshoots past the ends of the paths are clamped to the ends.
+ * @property {Vector|null} position - The current point, or `null` if the shape has no path
+ *   segments.
+ * @property {Object|null} frame - The frame at the current point, as returned by
+ *   `getFrameAtLength()`, or `null` if the shape has no path segments.
+ */
+
+// the state at a length, clamped to the paths
+function stateAtLength(shape, length, contoursIndex, state) {
+  const pathLength = shape.getTotalLength(contoursIndex);
+  const clampedLength = Math.min(Math.max(length, 0), pathLength);
+  const frame = shape.getFrameAtLength(clampedLength, contoursIndex);
+  return {
+    ...state,
+    length: clampedLength,
+    position: frame?.position ?? null,
+    frame
+  };
+}
+
+/**
+ * Finds the point along a shape's paths that eased progress has reached.
+ *
+ * Progress is mapped to distance along the paths, from `startLength` to `endLength`, so
+ * the easing controls exactly how much of the path is covered over time. The end may come
+ * before the start, to travel backward.
+ *
+ * @param {Shape} shape - The shape whose paths are traversed.
+ * @param {number} progress - Progress in [0, 1]. Values outside are clamped.
+ * @param {Object} [options]
+ * @param {function(number): number} [options.easing=linear] - The easing function.
+ * @param {number} [options.startLength=0] - The distance along the paths at progress 0.
+ * @param {number} [options.endLength] - The distance along the paths at progress 1.
+ *   Defaults to the end of the paths.
+ * @param {number} [options.contoursIndex] - The index of a contour to traverse. By
+ *   default, all the shape's path contours are traversed in order.
+ * @return {TraversalState}
+ */
+export function easedTraversalAt(shape, progress, {
+  easing = linear,
+  startLength = 0,
+  endLength,
+  contoursIndex
+} = {}) {
+  endLength ??= shape.getTotalLength(contoursIndex);
+  const clampedProgress = Math.min(Math.max(progress, 0), 1);
+  const easedProgress = easing(clampedProgress);
+  const length = startLength + (endLength - startLength) * easedProgress;
+  return stateAtLength(shape, length, contoursIndex, {
+    progress: clampedProgress,
+    easedProgress
+  });
+}
+
+/**
+ * Chains eased legs of a traversal between named lengths along a path, such as
+ *
+ * ```js
+ * const chain = chainLegs({ start: 0, bridge: 120, summit: 300 }, [
+ *   { from: 'start', to: 'bridge', duration: 2, easing: cubic(EASE_IN) },
+ *   { to: 'summit', duration: 3, easing: back() },
+ *   { to: 'bridge', duration: 1.5, easing: bounce() }
+ * ]);
+ * ```
+ *
+ * Each leg travels from one length to another in a given duration, with its own easing,
+ * and starts where the previous leg ended unless it names a different start. Lengths may
+ * be given by name or as numbers. The chain can then be played with
+ * {@link chainedTraversalAt}.
+ *
+ * @param {Object<string, number>} marks - Lengths along the path, by name.
+ * @param {Object[]} legs - The legs, in order.
+ * @param {string|number} [legs[].from] - Where the leg starts. Required for the first leg.
+ * @param {string|number} legs[].to - Where the leg ends.
+ * @param {number} [legs[].duration=1] - How long the leg takes.
+ * @param {function(number): number} [legs[].easing=linear] - The leg's easing function.
+ * @return {Object} - The chain, with its total `duration` and resolved `legs`, each with
+ *   numeric `startLength`, `endLength`, and `startTime`.
+ */
+export function chainLegs(marks, legs) {
+  const lengthOf = mark => {
+    const length = typeof mark === 'number' ? mark : marks[mark];
+    if (typeof length !== 'number') {
+      throw new Error(`Unknown length along the path: ${mark}.`);
+    }
+    return length;
+  };
+  if (legs.length === 0 || legs[0].from === undefined) {
+    throw new Error('chainLegs() requires at least one leg, and a start for the first leg.');
+  }
+
+  let time = 0;
+  let previousEnd = null;
+  const resolved = legs.map(({ from, to, duration = 1, easing = linear }) => {
+    if (!(duration >= 0)) {
+      throw new Error(`Legs can't have a negative duration, but got ${duration}.`);
+    }
+    const leg = {
+      startLength: from === undefined ? previousEnd : lengthOf(from),
+      endLength: lengthOf(to),
+      startTime: time,
+      duration,
+      easing
+    };
+    time += duration;
+    previousEnd = leg.endLength;
+    return leg;
+  });
+  return { duration: time, legs: resolved };
+}
+
+/**
+ * Finds the point along a shape's paths that a chain of legs (see {@link chainLegs}) has
+ * reached at a given time. Before the chain starts, the point stays at the start of the
+ * first leg, and after it ends, the point stays at the end of the last leg.
+ *
+ * @param {Shape} shape - The shape whose paths are traversed.
+ * @param {Object} chain - The chain of legs.
+ * @param {number} time - The time since the chain started.
+ * @param {Object} [options]
+ * @param {number} [options.contoursIndex] - The index of a contour to traverse. By
+ *   default, lengths are measured along all the shape's path contours.
+ * @return {TraversalState} - The state, which also has the `index` of the current leg.
+ */
+export function chainedTraversalAt(shape, chain, time, { contoursIndex } = {}) {
+  const { legs } = chain;
+  let index = 0;
+  while (index < legs.length - 1 && time >= legs[index + 1].startTime) {
+    index++;
+  }
+  const leg = legs[index];
+  const elapsed = time - leg.startTime;
+  const progress = leg.duration > 0 ?
+    Math.min(Math.max(elapsed / leg.duration, 0), 1) :
+    elapsed < 0 ? 0 : 1;
+  const easedProgress = leg.easing(progress);
+  const length = leg.startLength + (leg.endLength - leg.startLength) * easedProgress;
+  return stateAtLength(shape, length, contoursIndex, { index, progress, easedProgress });
+}
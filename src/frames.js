@@ -0,0 +1,523 @@
+/**
+ * @module frames
+ * @requires Vector
+ * @requires constants
+ * @requires gl-matrix
+ */
+
+import { Vector } from './Vector.js';
+import * as constants from './constants.js';
+import { mat4 } from '../libs/gl-matrix.js';
+
+/**
+ * A moving frame at a point on a curve: a position together with an orthonormal basis.
+ * The basis is right-handed, with `binormal` equal to `tangent` × `normal`.
+ *
+ * @typedef {Object} Frame
+ * @property {Vector} position - The point on the curve.
+ * @property {Vector} tangent - The unit tangent.
+ * @property {Vector} normal - The unit normal.
+ * @property {Vector} binormal - The unit binormal.
+ */
+
+// ---- UTILITY FUNCTIONS ----
+function unitDirection(from, to) {
+  const direction = to.copy().sub(from);
+  return direction.mag() > 0 ? direction.normalize() : null;
+}
+
+// Reflect `vector` in the plane through the origin with normal `planeNormal`.
+// `planeNormalSquared` is passed in so it can be shared between reflections.
+function reflect(vector, planeNormal, planeNormalSquared) {
+  const scale = 2 * planeNormal.dot(vector) / planeNormalSquared;
+  return vector.copy().sub(planeNormal.copy().mult(scale));
+}
+
+// ---- TANGENTS ----
+
+/**
+ * Combines the tangents on either side of a point where a curve may have a corner, such
+ * as the join between two segments. The result bisects the two unit tangents. If one of
+ * them is missing, the other is used, and at a full reversal (a cusp), where there's no
+ * bisector, the outgoing tangent is used.
+ *
+ * @param {Vector|null} incoming - The unit tangent arriving at the point.
+ * @param {Vector|null} outgoing - The unit tangent leaving the point.
+ * @return {Vector|null} - The combined unit tangent, or null if both are missing.
+ */
+export function bisectTangents(incoming, outgoing) {
+  if (!incoming || !outgoing) {
+    return (incoming ?? outgoing)?.copy() ?? null;
+  }
+  const tangent = incoming.copy().add(outgoing);
+  return tangent.mag() > constants.TOLERANCE ? tangent.normalize() : outgoing.copy();
+}
+
+/**
+ * Estimates unit tangents at the vertices of a polyline, from finite differences.
+ *
+ * The tangent at an interior vertex bisects the unit directions of the chords on either side
+ * of it, which keeps estimates stable when consecutive chords have different lengths.
+ * Repeated vertices (zero-length chords) are skipped over. If every vertex is the same,
+ * there's no direction to estimate, so the x-axis is used.
+ *
+ * If the polyline is closed, the chord from the last vertex back to the first is included,
+ * so the first and last vertices get tangents that agree across the seam.
+ *
+ * @param {Vector[]} positions - The vertices of the polyline.
+ * @param {Object} [options]
+ * @param {boolean} [options.isClosed=false] - Whether the polyline wraps around.
+ * @return {Vector[]} - One unit tangent per vertex.
+ */
+export function estimateTangents(positions, { isClosed = false } = {}) {
+  const count = positions.length;
+
+  // chords[i] is the unit direction from positions[i] to the next vertex, or null
+  const chords = [];
+  const chordCount = isClosed ? count : count - 1;
+  for (let i = 0; i < chordCount; i++) {
+    chords.push(unitDirection(positions[i], positions[(i + 1) % count]));
+  }
+
+  // nearest non-null chord at or before each chord index, and at or after it
+  // (a closed polyline is scanned twice, so the search can wrap around the seam)
+  const passes = isClosed ? 2 : 1;
+  const before = new Array(chords.length).fill(null);
+  const after = new Array(chords.length).fill(null);
+  let previous = null;
+  let next = null;
+  for (let k = 0; k < passes * chords.length; k++) {
+    const i = k % chords.length;
+    previous = chords[i] ?? previous;
+    before[i] = previous;
+
+    const j = chords.length - 1 - i;
+    next = chords[j] ?? next;
+    after[j] = next;
+  }
+
+  const tangents = [];
+  for (let i = 0; i < count; i++) {
+    const incomingIndex = isClosed ? (i - 1 + count) % count : i - 1;
+    const incoming = incomingIndex >= 0 ? before[incomingIndex] : null;
+    const outgoing = i < chords.length ? after[i] : null;
+    tangents.push(bisectTangents(incoming, outgoing) ?? new Vector(1, 0, 0));
+  }
+  return tangents;
+}
+
+// ---- FRAMES ----
+
+/**
+ * Chooses a unit normal perpendicular to a unit tangent.
+ *
+ * If a `reference` direction is given, the normal is the part of the reference that's
+ * perpendicular to the tangent. Otherwise, the normal is chosen so that a curve in the
+ * xy-plane gets a binormal equal to the positive z-axis, matching how a 2D profile is
+ * embedded in the 2D case.
+ *
+ * @param {Vector} tangent - The unit tangent.
+ * @param {Vector} [reference] - A direction that should be (roughly) normal to the tangent.
+ * @return {Vector} - The unit normal.
+ */
+export function initialNormal(tangent, reference) {
+  if (reference) {
+    const normal = reference.copy().sub(tangent.copy().mult(tangent.dot(reference)));
+    if (normal.mag() > constants.TOLERANCE) {
+      return normal.normalize();
+    }
+  }
+
+  const zAxis = new Vector(0, 0, 1);
+  const normal = zAxis.cross(tangent);
+  if (normal.mag() > constants.TOLERANCE) {
+    return normal.normalize();
+  }
+
+  // tangent is parallel to the z-axis
+  return new Vector(0, 1, 0).cross(tangent).normalize();
+}
+
+/**
+ * Advances a frame to the next point on a curve, with the double reflection method of
+ * Wang, Jüttler, Zheng, and Liu (2008), "Computation of Rotation Minimizing Frames."
+ *
+ * The first reflection, in the bisector plane of the two points, carries the frame to the
+ * next point. The second reflection aligns the reflected tangent with the next tangent.
+ * Together, they approximate the rotation minimizing frame with $\mathcal{O}(h^4)$ accuracy.
+ *
+ * @param {Frame} frame - The frame at the current point.
+ * @param {Vector} position - The next point.
+ * @param {Vector} tangent - The unit tangent at the next point.
+ * @return {Frame} - The frame at the next point.
+ */
+export function doubleReflect(frame, position, tangent) {
+  const v1 = position.copy().sub(frame.position);
+  const c1 = v1.dot(v1);
+
+  let normal;
+  if (c1 === 0) {
+    normal = frame.normal.copy();
+  } else {
+    const reflectedNormal = reflect(frame.normal, v1, c1);
+    const reflectedTangent = reflect(frame.tangent, v1, c1);
+
+    const v2 = tangent.copy().sub(reflectedTangent);
+    const c2 = v2.dot(v2);
+    normal = c2 === 0 ? reflectedNormal : reflect(reflectedNormal, v2, c2);
+  }
+
+  // Remove any component along the tangent that rounding error has introduced, so the
+  // frame stays orthonormal over long curves
+  normal.sub(tangent.copy().mult(tangent.dot(normal))).normalize();
+
+  return {
+    position: position.copy(),
+    tangent: tangent.copy(),
+    normal,
+    binormal: tangent.cross(normal)
+  };
+}
+
+/**
+ * Computes rotation minimizing frames at the vertices of a sampled curve, using
+ * double reflection.
+ *
+ * The first frame's normal is taken from `initialFrame.normal`, projected so that it's
+ * perpendicular to the first tangent. Without an initial frame, a normal is chosen with
+ * {@link initialNormal}.
+ *
+ * @param {Vector[]} positions - The sampled points on the curve.
+ * @param {Vector[]} tangents - The unit tangents at the sampled points.
+ * @param {Object} [options]
+ * @param {Frame} [options.initialFrame] - A frame whose normal sets the first frame's normal.
+ * @return {Frame[]} - One frame per sampled point.
+ */
+export function rotationMinimizingFrames(positions, tangents, { initialFrame = null } = {}) {
+  if (positions.length === 0) {
+    return [];
+  }
+
+  const firstTangent = tangents[0].copy();
+  const firstNormal = initialNormal(firstTangent, initialFrame?.normal);
+  const frames = [{
+    position: positions[0].copy(),
+    tangent: firstTangent,
+    normal: firstNormal,
+    binormal: firstTangent.cross(firstNormal)
+  }];
+
+  for (let i = 1; i < positions.length; i++) {
+    frames.push(doubleReflect(frames[i - 1], positions[i], tangents[i]));
+  }
+  return frames;
+}
+
+/**
+ * Finds the frame at a point between two neighboring frames on a curve.
+ *
+ * Each neighbor is carried to the point with {@link doubleReflect}. Carried from a
+ * rotation minimizing frame, both agree up to the accuracy of double reflection, but
+ * frames that have been rotated about their tangents (by a holonomy correction, or to keep
+ * a fixed "up" direction) may differ by a small angle. The result turns from the first
+ * toward the second by a share of that angle proportional to the distance from the first
+ * neighbor, so frames change continuously from one neighbor to the next.
+ *
+ * @param {Frame} before - The frame at or before the point.
+ * @param {Frame} after - The frame at or after the point.
+ * @param {Vector} position - The point.
+ * @param {Vector} tangent - The unit tangent at the point.
+ * @return {Frame} - The frame at the point.
+ */
+export function interpolateFrame(before, after, position, tangent) {
+  const fromBefore = doubleReflect(before, position, tangent);
+  const fromAfter = doubleReflect(after, position, tangent);
+  const distanceBefore = position.dist(before.position);
+  const totalDistance = distanceBefore + position.dist(after.position);
+  if (totalDistance === 0) {
+    return fromBefore;
+  }
+
+  const sin = fromBefore.normal.cross(fromAfter.normal).dot(tangent);
+  const cos = fromBefore.normal.dot(fromAfter.normal);
+  return rotateFrame(fromBefore, Math.atan2(sin, cos) * distanceBefore / totalDistance);
+}
+
+/**
+ * Converts a frame to a 4x4 transformation matrix, in the column-major layout of gl-matrix
+ * and WebGL uniforms.
+ *
+ * The matrix maps local coordinates onto the frame: the x-axis onto the normal, the y-axis
+ * onto the binormal, the z-axis onto the tangent, and the origin onto the position. This
+ * is the same embedding used for sweep profiles, whose local xy-plane lies in the
+ * normal-binormal plane. Since the frame is right-handed, so is the transformation.
+ *
+ * @param {Frame} frame - The frame.
+ * @return {mat4} - The transformation matrix.
+ */
+export function frameToMatrix({ position, tangent, normal, binormal }) {
+  return mat4.fromValues(
+    normal.x, normal.y, normal.z, 0,
+    binormal.x, binormal.y, binormal.z, 0,
+    tangent.x, tangent.y, tangent.z, 0,
+    position.x, position.y, position.z, 1
+  );
+}
+
+// ---- CLOSED CURVES ----
+
+/**
+ * Rotates a frame about its own tangent.
+ *
+ * @param {Frame} frame - The frame.
+ * @param {number} angle - The angle of rotation, in radians, counterclockwise when viewed
+ *   looking against the tangent (from the normal toward the binormal).
+ * @return {Frame} - The rotated frame.
+ */
+export function rotateFrame(frame, angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return {
+    position: frame.position.copy(),
+    tangent: frame.tangent.copy(),
+    normal: frame.normal.copy().mult(cos).add(frame.binormal.copy().mult(sin)),
+    binormal: frame.binormal.copy().mult(cos).sub(frame.normal.copy().mult(sin))
+  };
+}
+
+/**
+ * Measures the holonomy of rotation minimizing frames along a closed curve: the angle
+ * by which the frame that returns to the start must rotate about the tangent to agree
+ * with the first frame.
+ *
+ * The returning frame is found by carrying the last frame back to the first position.
+ * If the last position already coincides with the first, this only realigns it with the
+ * first tangent.
+ *
+ * @param {Frame[]} frames - Rotation minimizing frames along the closed curve.
+ * @return {number} - The holonomy angle, in radians, in the interval $(-\pi, \pi]$.
+ */
+export function holonomyAngle(frames) {
+  if (frames.length < 2) {
+    return 0;
+  }
+  const first = frames[0];
+  const returned = doubleReflect(frames.at(-1), first.position, first.tangent);
+
+  const sin = returned.normal.cross(first.normal).dot(first.tangent);
+  const cos = returned.normal.dot(first.normal);
+  return Math.atan2(sin, cos);
+}
+
+/**
+ * Corrects rotation minimizing frames along a closed curve so that the frame returns to
+ * the start without a seam.
+ *
+ * Following Wang et al. (2008), the holonomy angle is distributed in proportion to arc
+ * length (measured along the sampled polyline), rather than in proportion to the sample
+ * index or curve parameter. This minimizes the total squared angular speed of the
+ * correction, so tightly sampled regions don't absorb more than their share of twist.
+ *
+ * @param {Frame[]} frames - Rotation minimizing frames along the closed curve.
+ * @param {number} [angle] - The holonomy angle. Computed with {@link holonomyAngle} by default.
+ * @return {Frame[]} - The corrected frames.
+ */
+export function correctHolonomy(frames, angle = holonomyAngle(frames)) {
+  const lengths = [0];
+  for (let i = 1; i < frames.length; i++) {
+    lengths.push(lengths[i - 1] + frames[i].position.dist(frames[i - 1].position));
+  }
+  const totalLength = frames.length > 0 ?
+    lengths.at(-1) + frames.at(-1).position.dist(frames[0].position) :
+    0;
+
+  if (totalLength === 0 || angle === 0) {
+    return frames.map(frame => rotateFrame(frame, 0));
+  }
+  return frames.map((frame, i) => rotateFrame(frame, angle * lengths[i] / totalLength));
+}
+
+// ---- FRENET–SERRET FRAMES ----
+
+/**
+ * Estimates curvature vectors (the derivative of the unit tangent with respect to arc
+ * length) at the vertices of a polyline, from finite differences of its tangents.
+ *
+ * @param {Vector[]} positions - The vertices of the polyline.
+ * @param {Vector[]} tangents - The unit tangents at the vertices.
+ * @param {Object} [options]
+ * @param {boolean} [options.isClosed=false] - Whether the polyline wraps around.
+ * @return {Vector[]} - One curvature vector per vertex.
+ */
+export function estimateCurvatures(positions, tangents, { isClosed = false } = {}) {
+  const count = positions.length;
+  const curvatures = [];
+
+  for (let i = 0; i < count; i++) {
+    let previous = i - 1;
+    let next = i + 1;
+    if (isClosed) {
+      previous = (previous + count) % count;
+      next = next % count;
+    } else {
+      previous = Math.max(previous, 0);
+      next = Math.min(next, count - 1);
+    }
+
+    // Walk over a repeated vertex (such as the end of a closed contour),
+    // which would otherwise give a zero-length difference
+    const distance = positions[previous].dist(positions[i]) + positions[i].dist(positions[next]);
+    if (distance === 0) {
+      curvatures.push(new Vector(0, 0, 0));
+      continue;
+    }
+    curvatures.push(tangents[next].copy().sub(tangents[previous]).mult(1 / distance));
+  }
+  return curvatures;
+}
+
+/**
+ * Computes Frenet–Serret frames at the vertices of a sampled curve.
+ *
+ * The normal of a Frenet–Serret frame points along the curvature vector, so it's undefined
+ * wherever the curvature vanishes, as on straight lines and at inflection points. In those
+ * degenerate regions, the nearest well-defined normal is carried over (or a normal is
+ * chosen with {@link initialNormal}, if the whole curve is straight). Across an inflection,
+ * the normal flips to the other side of the curve; these flips are reported, along with
+ * the degenerate regions, so they can be inspected or compared with rotation minimizing
+ * frames.
+ *
+ * @param {Vector[]} positions - The sampled points on the curve.
+ * @param {Vector[]} tangents - The unit tangents at the sampled points.
+ * @param {Object} [options]
+ * @param {boolean} [options.isClosed=false] - Whether the curve is closed.
+ * @param {Vector[]} [options.curvatures] - Curvature vectors at the sampled points.
+ *   Estimated with {@link estimateCurvatures} by default.
+ * @param {number} [options.tolerance=0.001] - The curvature at or below which the normal is
+ *   treated as undefined. Defaults to the named constant {@link constants.TOLERANCE}.
+ * @return {{frames: Frame[], degenerateSpans: {start: number, end: number}[], flips: number[]}} -
+ *   The frames; the first and last sample indices of each degenerate region; and the
+ *   indices of samples whose normal turned more than a right angle from the previous one.
+ */
+export function frenetFrames(positions, tangents, {
+  isClosed = false,
+  curvatures = estimateCurvatures(positions, tangents, { isClosed }),
+  tolerance = constants.TOLERANCE
+} = {}) {
+  // normals where the curvature is large enough to define them, or null
+  const normals = curvatures.map((curvature, i) => {
+    const tangent = tangents[i];
+    const normal = curvature.copy().sub(tangent.copy().mult(tangent.dot(curvature)));
+    return normal.mag() > tolerance ? normal.normalize() : null;
+  });
+
+  const degenerateSpans = [];
+  normals.forEach((normal, i) => {
+    if (normal !== null) return;
+    const lastSpan = degenerateSpans.at(-1);
+    if (lastSpan && lastSpan.end === i - 1) {
+      lastSpan.end = i;
+    } else {
+      degenerateSpans.push({ start: i, end: i });
+    }
+  });
+
+  const firstDefined = normals.find(normal => normal !== null);
+  let carried = firstDefined ?? (tangents.length > 0 ? initialNormal(tangents[0]) : null);
+
+  const frames = [];
+  const flips = [];
+  positions.forEach((position, i) => {
+    const tangent = tangents[i].copy();
+    let normal = normals[i];
+    if (normal === null) {
+      // carry the previous normal, keeping it perpendicular to the tangent
+      normal = initialNormal(tangent, carried);
+    }
+    if (i > 0 && normal.dot(frames[i - 1].normal) < 0) {
+      flips.push(i);
+    }
+    carried = normal;
+    frames.push({
+      position: position.copy(),
+      tangent,
+      normal: normal.copy(),
+      binormal: tangent.cross(normal)
+    });
+  });
+
+  return { frames, degenerateSpans, flips };
+}
+
+// ---- FIXED-UP FRAMES ----
+
+/**
+ * Computes frames that keep a consistent "up" direction at the vertices of a sampled curve.
+ *
+ * Each binormal is the part of the `reference` direction that's perpendicular to the
+ * tangent, so the normal always stays level. This prevents banking, which suits roads and
+ * architectural rails, but it breaks down where the tangent is parallel to the reference
+ * (the analog of gimbal lock). In those regions, the frame is carried along with double
+ * reflection instead, as a rotation minimizing frame, and the regions are reported as
+ * fallback spans.
+ *
+ * @param {Vector[]} positions - The sampled points on the curve.
+ * @param {Vector[]} tangents - The unit tangents at the sampled points.
+ * @param {Vector} reference - The "up" direction.
+ * @param {Object} [options]
+ * @param {number} [options.tolerance=0.001] - How close the tangent may come to being
+ *   parallel to the reference, measured as the sine of the angle between them, before the
+ *   frame falls back to a rotation minimizing frame. Defaults to the named constant
+ *   {@link constants.TOLERANCE}.
+ * @return {{frames: Frame[], fallbackSpans: {start: number, end: number}[]}} - The frames,
+ *   and the first and last sample indices of each region that fell back.
+ */
+export function fixedFrames(positions, tangents, reference, { tolerance = constants.TOLERANCE } = {}) {
+  const up = reference.copy().normalize();
+
+  // fixed-up frames where they're well defined, or null
+  const frames = positions.map((position, i) => {
+    const tangent = tangents[i].copy();
+    const binormal = up.copy().sub(tangent.copy().mult(tangent.dot(up)));
+    if (binormal.mag() <= tolerance) {
+      return null;
+    }
+    binormal.normalize();
+    return {
+      position: position.copy(),
+      tangent,
+      normal: binormal.cross(tangent),
+      binormal
+    };
+  });
+
+  const fallbackSpans = [];
+  frames.forEach((frame, i) => {
+    if (frame !== null) return;
+    const lastSpan = fallbackSpans.at(-1);
+    if (lastSpan && lastSpan.end === i - 1) {
+      lastSpan.end = i;
+    } else {
+      fallbackSpans.push({ start: i, end: i });
+    }
+  });
+
+  for (const { start, end } of fallbackSpans) {
+    if (start > 0) {
+      for (let i = start; i <= end; i++) {
+        frames[i] = doubleReflect(frames[i - 1], positions[i], tangents[i]);
+      }
+    } else if (end + 1 < frames.length) {
+      // a span at the start has no frame before it, so carry the frame after it backward
+      for (let i = end; i >= start; i--) {
+        frames[i] = doubleReflect(frames[i + 1], positions[i], tangents[i]);
+      }
+    } else {
+      // the whole curve is parallel to the reference
+      const rotationMinimizing = rotationMinimizingFrames(positions, tangents);
+      frames.splice(0, frames.length, ...rotationMinimizing);
+    }
+  }
+
+  return { frames, fallbackSpans };
+}
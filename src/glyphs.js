@@ -0,0 +1,133 @@
+/**
+ * @module glyphs
+ * @requires constants
+ */
+
+import * as constants from './constants.js';
+
+/**
+ * A glyph placed along a path by {@link layoutGlyphs}.
+ *
+ * @typedef {Object} PlacedGlyph
+ * @property {number} index - The index of the glyph in the sequence that was laid out.
+ * @property {number} length - The distance along the contour to the middle of the glyph.
+ * @property {Vector} position - The glyph's origin: the start of its advance, on the
+ *   baseline, found by stepping back from the middle of the glyph along the tangent.
+ * @property {number} angle - The angle of the tangent in the xy-plane, in radians, for
+ *   rotating the glyph in 2D.
+ * @property {number} scale - The horizontal scale of the glyph, which is less than 1 if
+ *   the text was squeezed to fit.
+ * @property {Object} frame - The frame at the middle of the glyph, as returned by
+ *   `getFrameAtLength()`, including its `matrix`, for orienting the glyph in 3D.
+ */
+
+// fraction of the text's length that comes before the start offset, for each alignment
+const alignmentFractions = {
+  [constants.LEFT]: 0,
+  [constants.CENTER]: 0.5,
+  [constants.RIGHT]: 1
+};
+
+const overflows = [constants.CLIP, constants.WRAP, constants.SQUEEZE];
+
+/**
+ * Lays out a sequence of glyphs along a path contour of a shape, using the shape's
+ * arc-length system, similarly to an SVG `<textPath>`.
+ *
+ * Glyphs are described only by their advance widths, so any font or text renderer can be
+ * used. The optional `kerning` adjusts the space between neighboring glyphs: `kerning[i]`
+ * is added between glyph `i` and glyph `i + 1`, and negative values bring them closer.
+ *
+ * The text is anchored at `startOffset`, a distance along the contour. With `LEFT`
+ * alignment, the text starts at the anchor; with `CENTER` alignment, it's centered on it;
+ * and with `RIGHT` alignment, it ends there. Each glyph is oriented by the frame at its
+ * middle, so glyphs follow the curve without being distorted.
+ *
+ * Text that doesn't fit on the contour is handled according to `overflow`:
+ * - `CLIP` (default): glyphs whose middle falls off the contour are left out.
+ * - `WRAP`: on a closed contour, glyphs that run past the end continue from the start (and
+ *   vice versa). On an open contour, this is the same as `CLIP`.
+ * - `SQUEEZE`: advances and kerning are scaled down uniformly until the text fits between
+ *   the anchor and the end(s) of the contour that it extends toward.
+ *
+ * @param {Shape} shape - The shape whose path the glyphs follow.
+ * @param {number[]} advances - The advance width of each glyph.
+ * @param {Object} [options]
+ * @param {number[]} [options.kerning=[]] - Adjustments to the space after each glyph.
+ * @param {string} [options.align=LEFT] - `LEFT`, `CENTER`, or `RIGHT`.
+ * @param {number} [options.startOffset=0] - The distance along the contour to the anchor.
+ * @param {string} [options.overflow=CLIP] - `CLIP`, `WRAP`, or `SQUEEZE`.
+ * @param {number} [options.contoursIndex=0] - The index of the contour in the shape.
+ * @return {PlacedGlyph[]} - The glyphs that were placed on the contour, in order.
+ */
+export function layoutGlyphs(shape, advances, {
+  kerning = [],
+  align = constants.LEFT,
+  startOffset = 0,
+  overflow = constants.CLIP,
+  contoursIndex = 0
+} = {}) {
+  if (!Object.hasOwn(alignmentFractions, align)) {
+    throw new Error(
+      `layoutGlyphs() requires an align of LEFT, CENTER, or RIGHT, but got ${align}.`
+    );
+  }
+  if (!overflows.includes(overflow)) {
+    throw new Error(
+      `layoutGlyphs() requires an overflow of CLIP, WRAP, or SQUEEZE, but got ${overflow}.`
+    );
+  }
+  const pathLength = shape.getTotalLength(contoursIndex);
+  const isClosed = shape.contours[contoursIndex]?.isClosed ?? false;
+
+  // offset of each glyph from the start of the text, before any squeezing
+  const offsets = [];
+  let textLength = 0;
+  advances.forEach((advance, i) => {
+    if (i > 0) {
+      textLength += kerning[i - 1] ?? 0;
+    }
+    offsets.push(textLength);
+    textLength += advance;
+  });
+
+  const fraction = alignmentFractions[align];
+  let scale = 1;
+  if (overflow === constants.SQUEEZE) {
+    // room on each side of the anchor, in proportion to the text that extends there
+    const room = Math.min(
+      fraction < 1 ? (pathLength - startOffset) / (1 - fraction) : Infinity,
+      fraction > 0 ? startOffset / fraction : Infinity
+    );
+    if (textLength > room) {
+      scale = Math.max(room, 0) / textLength;
+    }
+  }
+  const textStart = startOffset - fraction * textLength * scale;
+  const shouldWrap = overflow === constants.WRAP && isClosed && pathLength > 0;
+
+  const glyphs = [];
+  advances.forEach((advance, index) => {
+    let length = textStart + (offsets[index] + advance / 2) * scale;
+    if (shouldWrap) {
+      length = ((length % pathLength) + pathLength) % pathLength;
+    } else if (length < 0 || length > pathLength) {
+      return;
+    }
+
+    const frame = shape.getFrameAtLength(length, contoursIndex);
+    if (frame === null) {
+      return;
+    }
+    const halfWidth = advance * scale / 2;
+    glyphs.push({
+      index,
+      length,
+      position: frame.position.copy().sub(frame.tangent.copy().mult(halfWidth)),
+      angle: Math.atan2(frame.tangent.y, frame.tangent.x),
+      scale,
+      frame
+    });
+  });
+  return glyphs;
+}
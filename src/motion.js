@@ -0,0 +1,323 @@
+/**
+ * @module motion
+ */
+
+/**
+ * A description of how fast something moves along a path over time, made by
+ * {@link constantSpeed}, {@link velocityKeys}, or {@link accelerationLimits}.
+ *
+ * Motion starts at time `0`, with a distance of `0`, and distances are found by
+ * integrating the velocity exactly, rather than by stepping through time. Velocities are in
+ * units of length per unit of time, so if time is measured in seconds, a velocity of `100`
+ * covers `100` units of length every second. Before time `0`, nothing moves.
+ *
+ * Every method takes the length of the path being traveled, which a profile may use to plan
+ * its motion (e.g. to know when to start slowing down).
+ *
+ * @typedef {Object} SpeedProfile
+ * @property {function(number, number): number} distanceAt - Takes a time and the length of
+ *   the path, and returns the distance traveled by that time.
+ * @property {function(number, number): number} velocityAt - Takes a time and the length of
+ *   the path, and returns the velocity at that time.
+ * @property {function(number, number): number} timeAtDistance - Takes a distance and the
+ *   length of the path, and returns the first time at which the distance is reached, or
+ *   `Infinity` if it's never reached.
+ */
+
+/**
+ * A speed profile for motion at a constant speed.
+ *
+ * @param {number} speed - The speed, which must not be negative.
+ * @return {SpeedProfile}
+ */
+export function constantSpeed(speed) {
+  if (!(speed >= 0)) {
+    throw new Error(`constantSpeed() requires a speed that isn't negative, but got ${speed}.`);
+  }
+  return {
+    distanceAt: time => speed * Math.max(time, 0),
+    velocityAt: time => time < 0 ? 0 : speed,
+    timeAtDistance: distance => {
+      if (distance <= 0) return 0;
+      return speed > 0 ? distance / speed : Infinity;
+    }
+  };
+}
+
+// time it takes to cover a distance from an initial velocity, with constant acceleration,
+// written to avoid cancellation when the acceleration is small
+function timeToCover(distance, velocity, acceleration) {
+  if (distance <= 0) {
+    return 0;
+  }
+  const discriminant = velocity * velocity + 2 * acceleration * distance;
+  if (discriminant < 0) {
+    return Infinity;
+  }
+  const denominator = velocity + Math.sqrt(discriminant);
+  return denominator > 0 ? 2 * distance / denominator : Infinity;
+}
+
+/**
+ * A speed profile whose velocity is interpolated linearly between keys, such as
+ * `[{ time: 0, velocity: 0 }, { time: 2, velocity: 100 }, { time: 5, velocity: 20 }]`.
+ *
+ * Before the first key, the velocity is the first key's velocity, and after the last key,
+ * it's the last key's velocity. Within each span between keys, the acceleration is
+ * constant, so distances are exact quadratics in time. Keys at the same time make the
+ * velocity jump.
+ *
+ * @param {Object[]} keys - The keys, in order of time.
+ * @param {number} keys[].time - The time of the key.
+ * @param {number} keys[].velocity - The velocity at that time, which must not be negative.
+ * @return {SpeedProfile}
+ */
+export function velocityKeys(keys) {
+  if (keys.length === 0) {
+    throw new Error('velocityKeys() requires at least one key.');
+  }
+  keys.forEach(({ time, velocity }, i) => {
+    if (!(velocity >= 0)) {
+      throw new Error(`Key ${i} has a negative velocity, ${velocity}.`);
+    }
+    if (i > 0 && !(time >= keys[i - 1].time)) {
+      throw new Error(`Key ${i} comes before the key preceding it, at time ${time}.`);
+    }
+  });
+
+  // spans of constant acceleration from time 0 onward, with the distance at their starts;
+  // the velocity at time 0 is interpolated between the keys on either side of it
+  const before = keys.findLast(key => key.time <= 0);
+  const after = keys.find(key => key.time > 0);
+  let startVelocity;
+  if (before === undefined || after === undefined) {
+    startVelocity = (before ?? after).velocity;
+  } else {
+    const fraction = -before.time / (after.time - before.time);
+    startVelocity = before.velocity + (after.velocity - before.velocity) * fraction;
+  }
+  const knots = [
+    { time: 0, velocity: startVelocity },
+    ...keys.filter(key => key.time > 0).map(({ time, velocity }) => ({ time, velocity }))
+  ];
+  knots.push({ time: Infinity, velocity: knots.at(-1).velocity });
+
+  const spans = [];
+  let distance = 0;
+  for (let i = 0; i + 1 < knots.length; i++) {
+    const start = knots[i];
+    const end = knots[i + 1];
+    const duration = end.time - start.time;
+    const acceleration = duration === Infinity || duration === 0 ?
+      0 :
+      (end.velocity - start.velocity) / duration;
+    spans.push({ startTime: start.time, velocity: start.velocity, acceleration, distance });
+    if (duration < Infinity) {
+      distance += (start.velocity + end.velocity) * duration / 2;
+    }
+  }
+
+  // last span that starts at or before the time
+  const spanAt = time => {
+    let low = 0;
+    let high = spans.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (spans[middle].startTime <= time) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return spans[low];
+  };
+
+  return {
+    distanceAt: time => {
+      if (time <= 0) return 0;
+      const span = spanAt(time);
+      const elapsed = time - span.startTime;
+      return span.distance + span.velocity * elapsed + span.acceleration * elapsed * elapsed / 2;
+    },
+    velocityAt: time => {
+      if (time < 0) return 0;
+      const span = spanAt(time);
+      return span.velocity + span.acceleration * (time - span.startTime);
+    },
+    timeAtDistance: distance => {
+      if (distance <= 0) return 0;
+      const span = spans.find((span, i) => distance <= (spans[i + 1]?.distance ?? Infinity));
+      return span.startTime +
+        timeToCover(distance - span.distance, span.velocity, span.acceleration);
+    }
+  };
+}
+
+/**
+ * A speed profile that starts and ends at rest, for covering a given distance as quickly
+ * as possible without exceeding a maximum velocity or the limits on acceleration and
+ * deceleration.
+ *
+ * The motion speeds up at the full acceleration until it reaches the maximum velocity,
+ * cruises at that velocity, and then slows down at the full deceleration so that it stops
+ * exactly at the end. If the distance is too short to reach the maximum velocity, it
+ * starts slowing down as soon as it reaches the highest velocity from which it can still
+ * stop in time.
+ *
+ * @param {Object} options
+ * @param {number} options.maxVelocity - The highest velocity, which must be positive.
+ * @param {number} options.acceleration - The rate of speeding up, which must be positive.
+ * @param {number} [options.deceleration] - The rate of slowing down, which must be
+ *   positive. Defaults to the acceleration.
+ * @param {number} [options.distance] - The distance to cover. Defaults to the length of
+ *   the path being traveled.
+ * @return {SpeedProfile}
+ */
+export function accelerationLimits({
+  maxVelocity,
+  acceleration,
+  deceleration = acceleration,
+  distance: fixedDistance
+}) {
+  for (const [name, value] of Object.entries({ maxVelocity, acceleration, deceleration })) {
+    if (!(value > 0)) {
+      throw new Error(`accelerationLimits() requires a positive ${name}, but got ${value}.`);
+    }
+  }
+
+  // the phases of the motion for a given distance
+  const plan = pathLength => {
+    const distance = Math.max(fixedDistance ?? pathLength, 0);
+    const rampDistance = maxVelocity * maxVelocity * (1 / acceleration + 1 / deceleration) / 2;
+    const peakVelocity = rampDistance <= distance ?
+      maxVelocity :
+      Math.sqrt(2 * distance * acceleration * deceleration / (acceleration + deceleration));
+    const accelerationTime = peakVelocity / acceleration;
+    const decelerationTime = peakVelocity / deceleration;
+    const accelerationDistance = peakVelocity * accelerationTime / 2;
+    const decelerationDistance = peakVelocity * decelerationTime / 2;
+    const cruiseDistance = distance - accelerationDistance - decelerationDistance;
+    const cruiseTime = peakVelocity > 0 ? Math.max(cruiseDistance, 0) / peakVelocity : 0;
+    return {
+      distance,
+      peakVelocity,
+      accelerationTime,
+      accelerationDistance,
+      cruiseEnd: accelerationTime + cruiseTime,
+      cruiseEndDistance: distance - decelerationDistance,
+      endTime: accelerationTime + cruiseTime + decelerationTime
+    };
+  };
+
+  return {
+    distanceAt: (time, pathLength) => {
+      const phases = plan(pathLength);
+      if (time <= 0) {
+        return 0;
+      } else if (time < phases.accelerationTime) {
+        return acceleration * time * time / 2;
+      } else if (time < phases.cruiseEnd) {
+        return phases.accelerationDistance +
+          phases.peakVelocity * (time - phases.accelerationTime);
+      } else if (time < phases.endTime) {
+        const remaining = phases.endTime - time;
+        return phases.distance - deceleration * remaining * remaining / 2;
+      }
+      return phases.distance;
+    },
+    velocityAt: (time, pathLength) => {
+      const phases = plan(pathLength);
+      if (time <= 0 || time >= phases.endTime) {
+        return 0;
+      } else if (time < phases.accelerationTime) {
+        return acceleration * time;
+      } else if (time < phases.cruiseEnd) {
+        return phases.peakVelocity;
+      }
+      return deceleration * (phases.endTime - time);
+    },
+    timeAtDistance: (distance, pathLength) => {
+      const phases = plan(pathLength);
+      if (distance <= 0) {
+        return 0;
+      } else if (distance > phases.distance) {
+        return Infinity;
+      } else if (distance < phases.accelerationDistance) {
+        return Math.sqrt(2 * distance / acceleration);
+      } else if (distance < phases.cruiseEndDistance) {
+        return phases.accelerationTime +
+          (distance - phases.accelerationDistance) / phases.peakVelocity;
+      }
+      return phases.endTime - Math.sqrt(2 * (phases.distance - distance) / deceleration);
+    }
+  };
+}
+
+/**
+ * The state of motion along a path at a moment in time, as returned by {@link motionAt}.
+ *
+ * @typedef {Object} MotionState
+ * @property {number} time - The time.
+ * @property {number} distance - The distance traveled since time `0`, according to the
+ *   speed profile.
+ * @property {number} velocity - The velocity at that time.
+ * @property {number} length - The distance along the shape's paths to the current point,
+ *   which stops at the end of the paths.
+ * @property {Vector|null} position - The current point, or `null` if the shape has no path
+ *   segments.
+ * @property {Object|null} frame - The frame at the current point, as returned by
+ *   `getFrameAtLength()`, or `null` if the shape has no path segments.
+ */
+
+// distance along the shape's paths from the start of the motion to the end of its path
+function remainingLength(shape, startLength, contoursIndex) {
+  return Math.max(shape.getTotalLength(contoursIndex) - startLength, 0);
+}
+
+/**
+ * Finds where motion along a shape's paths is at a given time, according to a speed
+ * profile.
+ *
+ * The distance traveled comes from the profile and is exact, and the point at that
+ * distance is found with the shape's arc-length system, so the motion covers equal
+ * lengths of the path in equal times at a constant speed, however the path is
+ * parameterized.
+ *
+ * @param {Shape} shape - The shape whose paths are traveled.
+ * @param {SpeedProfile} profile - How fast the motion goes over time.
+ * @param {number} time - The time since the motion started.
+ * @param {Object} [options]
+ * @param {number} [options.startLength=0] - The distance along the paths where the motion
+ *   starts.
+ * @param {number} [options.contoursIndex] - The index of a contour to travel along. By
+ *   default, all the shape's path contours are traveled in order.
+ * @return {MotionState}
+ */
+export function motionAt(shape, profile, time, { startLength = 0, contoursIndex } = {}) {
+  const pathLength = remainingLength(shape, startLength, contoursIndex);
+  const distance = profile.distanceAt(time, pathLength);
+  const length = startLength + Math.min(distance, pathLength);
+  const frame = shape.getFrameAtLength(length, contoursIndex);
+  return {
+    time,
+    distance,
+    velocity: profile.velocityAt(time, pathLength),
+    length,
+    position: frame?.position ?? null,
+    frame
+  };
+}
+
+/**
+ * Finds how long motion along a shape's paths takes to reach their end, according to a
+ * speed profile. Returns `Infinity` if the motion never gets there.
+ *
+ * @param {Shape} shape - The shape whose paths are traveled.
+ * @param {SpeedProfile} profile - How fast the motion goes over time.
+ * @param {Object} [options] - The same options as {@link motionAt}.
+ * @return {number} - The duration of the motion.
+ */
+export function motionDuration(shape, profile, { startLength = 0, contoursIndex } = {}) {
+  const pathLength = remainingLength(shape, startLength, contoursIndex);
+  return profile.timeAtDistance(pathLength, pathLength);
+}
@@ -0,0 +1,358 @@
+/**
+ * @module profiles
+ * @requires constants
+ * @requires shapes
+ * @requires Vector
+ */
+
+import * as constants from './constants.js';
+import { Shape } from './shapes.js';
+import { Vector } from './Vector.js';
+
+function requireInteger(name, value, minimum, caller) {
+  if (!(Number.isInteger(value) && value >= minimum)) {
+    throw new Error(
+      `${caller}() requires ${name} to be an integer of at least ${minimum}, but got ${value}.`
+    );
+  }
+}
+
+function requirePositive(name, value, caller) {
+  if (!(value > 0)) {
+    throw new Error(`${caller}() requires a positive ${name}, but got ${value}.`);
+  }
+}
+
+function requireCornerRadius(cornerRadius, width, height, caller) {
+  if (!(cornerRadius >= 0 && cornerRadius <= Math.min(width, height) / 2)) {
+    throw new Error(
+      `${caller}() requires a corner radius from 0 to half the width and height, ` +
+      `but got ${cornerRadius}.`
+    );
+  }
+}
+
+function requireBeam({ width, height, flangeThickness, webThickness, flanges }, caller) {
+  requirePositive('width', width, caller);
+  requirePositive('height', height, caller);
+  requirePositive('flangeThickness', flangeThickness, caller);
+  requirePositive('webThickness', webThickness, caller);
+  if (!(flanges * flangeThickness < height)) {
+    throw new Error(`${caller}() requires flanges that leave room for the web.`);
+  }
+  if (!(webThickness < width)) {
+    throw new Error(`${caller}() requires a web that's thinner than the flanges are wide.`);
+  }
+}
+
+// a shape with a closed contour through each list of [x, y] points; the first contour is
+// the outline, and any others are holes. Repeated points (such as the ends of rounded
+// corners that meet) are skipped, so that no side has zero length.
+function polygonShape(...contours) {
+  const shape = new Shape({ position: new Vector(0, 0, 0) });
+  shape.beginShape();
+  contours.forEach((points, i) => {
+    if (i > 0) {
+      shape.beginContour();
+    }
+    const isRepeat = ([x, y], [previousX, previousY]) => x === previousX && y === previousY;
+    points
+      .filter((point, j) => !isRepeat(point, points.at(j - 1)) || points.length === 1)
+      .forEach(([x, y]) => shape.vertex(new Vector(x, y, 0)));
+    shape.endContour(constants.CLOSE);
+  });
+  shape.endShape();
+  return shape;
+}
+
+// points on an elliptical arc, from the start angle to the end angle (inclusive)
+function arcPoints(x, y, radiusX, radiusY, startAngle, endAngle, segments) {
+  return Array.from({ length: segments + 1 }, (_, i) => {
+    const angle = startAngle + (endAngle - startAngle) * i / segments;
+    return [x + radiusX * Math.cos(angle), y + radiusY * Math.sin(angle)];
+  });
+}
+
+// outline of a rectangle with rounded corners, counterclockwise from the bottom edge
+function roundedRectanglePoints(x, y, width, height, radius, segments) {
+  const halfWidth = width / 2;
+  const halfHeight = height / 2;
+  if (radius <= 0) {
+    return [
+      [x + halfWidth, y - halfHeight],
+      [x + halfWidth, y + halfHeight],
+      [x - halfWidth, y + halfHeight],
+      [x - halfWidth, y - halfHeight]
+    ];
+  }
+  const insetX = halfWidth - radius;
+  const insetY = halfHeight - radius;
+  const corners = [[insetX, -insetY], [insetX, insetY], [-insetX, insetY], [-insetX, -insetY]];
+  return corners.flatMap(([cornerX, cornerY], i) => {
+    const startAngle = (i - 1) * Math.PI / 2;
+    return arcPoints(
+      x + cornerX, y + cornerY, radius, radius, startAngle, startAngle + Math.PI / 2, segments
+    );
+  });
+}
+
+/**
+ * An ellipse, approximated by a polygon whose vertices are evenly spaced in angle, for use
+ * as a sweep slice (see `sweepSlice()`).
+ *
+ * Like the other profiles in this module, it's a new `Shape` in the xy-plane, built with
+ * `beginShape()`/`endShape()`, so it can be edited, measured, or used anywhere else a shape
+ * can. Its outline runs counterclockwise, from the positive x-axis toward the positive
+ * y-axis. When it's swept, the origin lies on the spine, so a center away from the origin
+ * makes a surface that's offset from the spine.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.x=0] - The x-coordinate of the center.
+ * @param {number} [options.y=0] - The y-coordinate of the center.
+ * @param {number} [options.radiusX=1] - The radius along the x-axis.
+ * @param {number} [options.radiusY=radiusX] - The radius along the y-axis.
+ * @param {number} [options.segments=32] - The number of segments, at least 3.
+ * @return {Shape}
+ */
+export function ellipse({ x = 0, y = 0, radiusX = 1, radiusY = radiusX, segments = 32 } = {}) {
+  requirePositive('radiusX', radiusX, 'ellipse');
+  requirePositive('radiusY', radiusY, 'ellipse');
+  requireInteger('segments', segments, 3, 'ellipse');
+  const points = arcPoints(x, y, radiusX, radiusY, 0, 2 * Math.PI, segments);
+  return polygonShape(points.slice(0, -1));
+}
+
+/**
+ * A circle, approximated by a polygon whose vertices are evenly spaced in angle. Swept
+ * along a spine, it makes a tube.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.x=0] - The x-coordinate of the center.
+ * @param {number} [options.y=0] - The y-coordinate of the center.
+ * @param {number} [options.radius=1] - The radius.
+ * @param {number} [options.segments=32] - The number of segments, at least 3.
+ * @return {Shape}
+ */
+export function circle({ x = 0, y = 0, radius = 1, segments = 32 } = {}) {
+  requirePositive('radius', radius, 'circle');
+  return ellipse({ x, y, radiusX: radius, radiusY: radius, segments });
+}
+
+/**
+ * A rectangle, whose corners may be rounded.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.x=0] - The x-coordinate of the center.
+ * @param {number} [options.y=0] - The y-coordinate of the center.
+ * @param {number} [options.width=2] - The width, along the x-axis.
+ * @param {number} [options.height=width] - The height, along the y-axis.
+ * @param {number} [options.cornerRadius=0] - The radius of the corners, which is at most
+ *   half the width and half the height. With a radius of `0`, the corners are sharp.
+ * @param {number} [options.cornerSegments=8] - The number of segments in each rounded
+ *   corner, at least 1.
+ * @return {Shape}
+ */
+export function rectangle({
+  x = 0,
+  y = 0,
+  width = 2,
+  height = width,
+  cornerRadius = 0,
+  cornerSegments = 8
+} = {}) {
+  requirePositive('width', width, 'rectangle');
+  requirePositive('height', height, 'rectangle');
+  requireInteger('cornerSegments', cornerSegments, 1, 'rectangle');
+  requireCornerRadius(cornerRadius, width, height, 'rectangle');
+  return polygonShape(
+    roundedRectanglePoints(x, y, width, height, cornerRadius, cornerSegments)
+  );
+}
+
+/**
+ * A regular polygon, with its vertices on a circle.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.x=0] - The x-coordinate of the center.
+ * @param {number} [options.y=0] - The y-coordinate of the center.
+ * @param {number} [options.radius=1] - The distance from the center to each vertex.
+ * @param {number} [options.sides=6] - The number of sides, at least 3.
+ * @param {number} [options.rotation=0] - The angle of the first vertex from the positive
+ *   x-axis, in radians.
+ * @return {Shape}
+ */
+export function regularPolygon({ x = 0, y = 0, radius = 1, sides = 6, rotation = 0 } = {}) {
+  requirePositive('radius', radius, 'regularPolygon');
+  requireInteger('sides', sides, 3, 'regularPolygon');
+  const points = arcPoints(x, y, radius, radius, rotation, rotation + 2 * Math.PI, sides);
+  return polygonShape(points.slice(0, -1));
+}
+
+/**
+ * A star, whose outline alternates between points on an outer circle and an inner circle.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.x=0] - The x-coordinate of the center.
+ * @param {number} [options.y=0] - The y-coordinate of the center.
+ * @param {number} [options.points=5] - The number of points, at least 2.
+ * @param {number} [options.outerRadius=1] - The distance from the center to each point.
+ * @param {number} [options.innerRadius=outerRadius/2] - The distance from the center to
+ *   each notch between points.
+ * @param {number} [options.rotation=0] - The angle of the first point from the positive
+ *   x-axis, in radians.
+ * @return {Shape}
+ */
+export function star({
+  x = 0,
+  y = 0,
+  points = 5,
+  outerRadius = 1,
+  innerRadius = outerRadius / 2,
+  rotation = 0
+} = {}) {
+  requirePositive('outerRadius', outerRadius, 'star');
+  requirePositive('innerRadius', innerRadius, 'star');
+  requireInteger('points', points, 2, 'star');
+  const outline = Array.from({ length: 2 * points }, (_, i) => {
+    const radius = i % 2 === 0 ? outerRadius : innerRadius;
+    const angle = rotation + Math.PI * i / points;
+    return [x + radius * Math.cos(angle), y + radius * Math.sin(angle)];
+  });
+  return polygonShape(outline);
+}
+
+/**
+ * A line segment, which is an open profile. Swept along a spine, it makes a ribbon.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.x1=-1] - The x-coordinate of the start.
+ * @param {number} [options.y1=0] - The y-coordinate of the start.
+ * @param {number} [options.x2=1] - The x-coordinate of the end.
+ * @param {number} [options.y2=0] - The y-coordinate of the end.
+ * @return {Shape}
+ */
+export function line({ x1 = -1, y1 = 0, x2 = 1, y2 = 0 } = {}) {
+  const shape = new Shape({ position: new Vector(0, 0, 0) });
+  shape.beginShape();
+  shape.vertex(new Vector(x1, y1, 0));
+  shape.vertex(new Vector(x2, y2, 0));
+  shape.endShape();
+  return shape;
+}
+
+/**
+ * The cross section of an I-beam: a vertical web between two horizontal flanges, centered
+ * on its bounding box.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.x=0] - The x-coordinate of the center.
+ * @param {number} [options.y=0] - The y-coordinate of the center.
+ * @param {number} [options.width=2] - The width of the flanges.
+ * @param {number} [options.height=2] - The total height.
+ * @param {number} [options.flangeThickness=0.25] - The thickness of each flange, which is
+ *   less than half the height.
+ * @param {number} [options.webThickness=0.25] - The thickness of the web, which is less
+ *   than the width.
+ * @return {Shape}
+ */
+export function iBeam({
+  x = 0,
+  y = 0,
+  width = 2,
+  height = 2,
+  flangeThickness = 0.25,
+  webThickness = 0.25
+} = {}) {
+  requireBeam({ width, height, flangeThickness, webThickness, flanges: 2 }, 'iBeam');
+  const w = width / 2;
+  const h = height / 2;
+  const f = h - flangeThickness;
+  const t = webThickness / 2;
+  return polygonShape([
+    [-w, -h], [w, -h], [w, -f], [t, -f], [t, f], [w, f],
+    [w, h], [-w, h], [-w, f], [-t, f], [-t, -f], [-w, -f]
+  ].map(([px, py]) => [x + px, y + py]));
+}
+
+/**
+ * The cross section of a T-beam: a vertical web below a horizontal flange, centered on its
+ * bounding box.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.x=0] - The x-coordinate of the center.
+ * @param {number} [options.y=0] - The y-coordinate of the center.
+ * @param {number} [options.width=2] - The width of the flange.
+ * @param {number} [options.height=2] - The total height.
+ * @param {number} [options.flangeThickness=0.25] - The thickness of the flange, which is
+ *   less than the height.
+ * @param {number} [options.webThickness=0.25] - The thickness of the web, which is less
+ *   than the width.
+ * @return {Shape}
+ */
+export function tBeam({
+  x = 0,
+  y = 0,
+  width = 2,
+  height = 2,
+  flangeThickness = 0.25,
+  webThickness = 0.25
+} = {}) {
+  requireBeam({ width, height, flangeThickness, webThickness, flanges: 1 }, 'tBeam');
+  const w = width / 2;
+  const h = height / 2;
+  const f = h - flangeThickness;
+  const t = webThickness / 2;
+  return polygonShape([
+    [-t, -h], [t, -h], [t, f], [w, f], [w, h], [-w, h], [-w, f], [-t, f]
+  ].map(([px, py]) => [x + px, y + py]));
+}
+
+/**
+ * The cross section of a pipe with a rounded-rectangular outline: a rectangle with
+ * rounded corners, with a hole that keeps the wall at the same thickness all around.
+ * The hole is the profile's second contour, and it runs clockwise, against the outline.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.x=0] - The x-coordinate of the center.
+ * @param {number} [options.y=0] - The y-coordinate of the center.
+ * @param {number} [options.width=2] - The outer width, along the x-axis.
+ * @param {number} [options.height=width] - The outer height, along the y-axis.
+ * @param {number} [options.cornerRadius=0.5] - The outer radius of the corners, which is
+ *   at most half the width and half the height.
+ * @param {number} [options.thickness=0.25] - The thickness of the wall, which is less than
+ *   half the width and half the height. Where it's at least the corner radius, the hole
+ *   has sharp corners.
+ * @param {number} [options.cornerSegments=8] - The number of segments in each rounded
+ *   corner, at least 1.
+ * @return {Shape}
+ */
+export function pipe({
+  x = 0,
+  y = 0,
+  width = 2,
+  height = width,
+  cornerRadius = 0.5,
+  thickness = 0.25,
+  cornerSegments = 8
+} = {}) {
+  requirePositive('width', width, 'pipe');
+  requirePositive('height', height, 'pipe');
+  requirePositive('thickness', thickness, 'pipe');
+  requireInteger('cornerSegments', cornerSegments, 1, 'pipe');
+  requireCornerRadius(cornerRadius, width, height, 'pipe');
+  if (!(thickness < Math.min(width, height) / 2)) {
+    throw new Error(
+      `pipe() requires a wall thinner than half the width and height, but got ${thickness}.`
+    );
+  }
+  const outline = roundedRectanglePoints(x, y, width, height, cornerRadius, cornerSegments);
+  const hole = roundedRectanglePoints(
+    x,
+    y,
+    width - 2 * thickness,
+    height - 2 * thickness,
+    Math.max(cornerRadius - thickness, 0),
+    cornerSegments
+  );
+  return polygonShape(outline, hole.reverse());
+}
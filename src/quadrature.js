@@ -0,0 +1,142 @@
+/**
+ * @module quadrature
+ * @requires constants
+ */
+
+import * as constants from './constants.js';
+
+/*
+ * Each rule takes an integrand `f` and limits `a` and `b`, followed by any options of
+ * its own. Rules can therefore be passed wherever an integrator `(f, a, b) => number` is
+ * expected, either directly (with their default options) or wrapped in a closure, e.g.
+ * `(f, a, b) => gaussLegendre(f, a, b, 8)`.
+ */
+
+/**
+ * Approximates the definite integral of a function with the composite Simpson's rule.
+ *
+ * The interval is split into an even number of subintervals, and the function is
+ * approximated by a parabola over each consecutive pair of them.
+ *
+ * @param {function(number): number} f - The integrand.
+ * @param {number} a - The lower limit of integration.
+ * @param {number} b - The upper limit of integration.
+ * @param {number} [intervals=2] - The number of subintervals. Odd numbers are rounded up.
+ * @return {number} - The approximate integral.
+ */
+export function simpson(f, a, b, intervals = 2) {
+  const n = intervals + (intervals % 2);
+  const h = (b - a) / n;
+
+  let sum = f(a) + f(b);
+  for (let i = 1; i < n; i++) {
+    sum += (i % 2 === 1 ? 4 : 2) * f(a + i * h);
+  }
+  return sum * h / 3;
+}
+
+/**
+ * Approximates the definite integral of a function with adaptive Simpson's rule.
+ *
+ * Simpson's rule is applied to the whole interval and to each of its halves. If the two
+ * estimates disagree by more than the tolerance allows, each half is integrated again,
+ * recursively, with half the tolerance. Work is therefore concentrated where the integrand
+ * changes quickly, such as around the tight turn of a hairpin curve.
+ *
+ * @param {function(number): number} f - The integrand.
+ * @param {number} a - The lower limit of integration.
+ * @param {number} b - The upper limit of integration.
+ * @param {number} [tolerance=0.001] - The target absolute error. Defaults to the named
+ *   constant {@link constants.TOLERANCE}.
+ * @param {number} [maxDepth=20] - The limit on the depth of recursion.
+ * @return {number} - The approximate integral.
+ */
+export function adaptiveSimpson(f, a, b, tolerance = constants.TOLERANCE, maxDepth = 20) {
+  const fa = f(a);
+  const fb = f(b);
+  const m = (a + b) / 2;
+  const fm = f(m);
+  const whole = (b - a) * (fa + 4 * fm + fb) / 6;
+  return adaptiveSimpsonStep(f, a, b, fa, fm, fb, whole, tolerance, maxDepth);
+}
+
+function adaptiveSimpsonStep(f, a, b, fa, fm, fb, whole, tolerance, depth) {
+  const m = (a + b) / 2;
+  const lm = (a + m) / 2;
+  const rm = (m + b) / 2;
+  const flm = f(lm);
+  const frm = f(rm);
+  const left = (m - a) * (fa + 4 * flm + fm) / 6;
+  const right = (b - m) * (fm + 4 * frm + fb) / 6;
+  const difference = left + right - whole;
+
+  // the factor 15 comes from Richardson extrapolation
+  if (depth <= 0 || Math.abs(difference) <= 15 * tolerance) {
+    return left + right + difference / 15;
+  }
+  return (
+    adaptiveSimpsonStep(f, a, m, fa, flm, fm, left, tolerance / 2, depth - 1) +
+    adaptiveSimpsonStep(f, m, b, fm, frm, fb, right, tolerance / 2, depth - 1)
+  );
+}
+
+// nodes and weights on [-1, 1], by order
+const gaussLegendreRules = new Map();
+
+// Nodes are the roots of the Legendre polynomial of the given order, found with
+// Newton's method from the standard initial guesses.
+function gaussLegendreRule(order) {
+  if (gaussLegendreRules.has(order)) {
+    return gaussLegendreRules.get(order);
+  }
+
+  const nodes = [];
+  const weights = [];
+  for (let i = 1; i <= order; i++) {
+    let x = Math.cos(Math.PI * (i - 0.25) / (order + 0.5));
+    let derivative;
+    for (let iteration = 0; iteration < 100; iteration++) {
+      // evaluate P_order(x) and P_(order - 1)(x) with the three-term recurrence
+      let current = 1;
+      let previous = 0;
+      for (let k = 1; k <= order; k++) {
+        [previous, current] = [current, ((2 * k - 1) * x * current - (k - 1) * previous) / k];
+      }
+      derivative = order * (x * current - previous) / (x * x - 1);
+      const step = current / derivative;
+      x -= step;
+      if (Math.abs(step) < 1e-15) break;
+    }
+    nodes.push(x);
+    weights.push(2 / ((1 - x * x) * derivative * derivative));
+  }
+
+  const rule = { nodes, weights };
+  gaussLegendreRules.set(order, rule);
+  return rule;
+}
+
+/**
+ * Approximates the definite integral of a function with Gauss–Legendre quadrature.
+ *
+ * With `order` evaluations of the integrand, the rule is exact for polynomials of degree
+ * up to `2 * order - 1`, so it's very efficient for smooth integrands like the speed of a
+ * gently curving Bézier piece. Higher orders trade build time for accuracy.
+ *
+ * @param {function(number): number} f - The integrand.
+ * @param {number} a - The lower limit of integration.
+ * @param {number} b - The upper limit of integration.
+ * @param {number} [order=5] - The number of nodes.
+ * @return {number} - The approximate integral.
+ */
+export function gaussLegendre(f, a, b, order = 5) {
+  const { nodes, weights } = gaussLegendreRule(order);
+  const halfWidth = (b - a) / 2;
+  const center = (a + b) / 2;
+
+  let sum = 0;
+  for (let i = 0; i < nodes.length; i++) {
+    sum += weights[i] * f(center + halfWidth * nodes[i]);
+  }
+  return sum * halfWidth;
+}
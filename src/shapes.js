@@ -22,7 +22,29 @@
  *   Removed outdated or unnecessary code comments and docs, and p5-specific boilerplate 
  *   (`p5.` prefixes, add-on registration).
  * 
- *   Added support for `SWEEP` shapes.
+ *   Added support for `SWEEP` shapes, whose surfaces are built by
+ *   `PrimitiveToSweepConverter`, with slices set by `sweepSlice()`.
+ *
+ *   Added a visitor that computes rotation minimizing frames along paths
+ *   (`PrimitiveToFramesConverter`).
+ *
+ *   Implemented the arc-length look-up table (`PointAtLengthGetter`), with
+ *   `getTotalLength()`, `getPointAtLength()`, and `getLengthAtPoint()` on `Shape`.
+ *
+ *   Added `getFrameAtLength()` on `Shape`, which returns interpolated frames as
+ *   objects and as gl-matrix matrices.
+ *
+ *   Added `resample()`, `dash()`, and `getSubShape()` on `Shape`, for resampling
+ *   paths evenly by arc length, splitting them into dashes, and extracting parts of them.
+ *
+ *   Added `getVertexAtLength()` on `Shape`, which interpolates all vertex properties
+ *   (used by `Morph`).
+ *
+ *   Added change tracking (`markChanged()` and `setVertex()` on `Shape`), so that results
+ *   cached for each segment and contour are reused until they're invalidated.
+ *
+ *   Added curvature, torsion, and speed queries at a length on `Shape`
+ *   (`getCurvatureAtLength()` and its relatives), and `getCurvaturePlot()`.
  *   
  *   The features retained in this file pass data to a `Shape` instance via
  *   `beginShape()`/`endShape()`.
@@ -38,11 +60,25 @@
  * @requires Color
  * @requires Vector
  * @requires constants
+ * @requires frames
+ * @requires quadrature
  */
 
 import { Color } from './Color.js';
 import { Vector } from './Vector.js';
 import * as constants from './constants.js';
+import {
+  estimateTangents,
+  bisectTangents,
+  rotationMinimizingFrames,
+  holonomyAngle,
+  correctHolonomy,
+  frenetFrames,
+  fixedFrames,
+  interpolateFrame,
+  frameToMatrix
+} from './frames.js';
+import { simpson } from './quadrature.js';
 
 // ---- UTILITY FUNCTIONS ----
 function polylineLength(vertices) {
@@ -53,6 +89,80 @@ function polylineLength(vertices) {
   return length;
 }
 
+// distance along a polyline to each of its points, as a fraction of its length; the
+// points of a polyline without length are spaced evenly instead
+function lengthFractions(positions) {
+  const distances = [0];
+  for (let i = 1; i < positions.length; i++) {
+    distances.push(distances[i - 1] + positions[i - 1].dist(positions[i]));
+  }
+  const total = distances.at(-1);
+  return total > 0 ?
+    distances.map(distance => distance / total) :
+    distances.map((_, i) => i / Math.max(positions.length - 1, 1));
+}
+
+// length of the control polygon of a Bézier piece, given as coordinate arrays
+function hullLength(controls) {
+  return polylineLength(controls.map(array => ({ position: new Vector(...array) })));
+}
+
+// derivatives smaller than this, relative to the size of the control polygon,
+// are treated as vanishing
+const VANISHING_DERIVATIVE = 1e-9;
+
+// Where the first derivative vanishes (e.g. at an endpoint with a coincident control point),
+// the tangent is the limit of nearby tangents, which points along the first higher
+// derivative that doesn't vanish. Approaching the end of a curve, the even derivatives
+// point backward, so they're reversed.
+function tangentFromDerivatives([, ...derivatives], scale, atEnd) {
+  for (let k = 1; k <= derivatives.length; k++) {
+    const derivative = derivatives[k - 1];
+    if (derivative.mag() > VANISHING_DERIVATIVE * scale) {
+      const sign = atEnd && k % 2 === 0 ? -1 : 1;
+      return derivative.copy().mult(sign).normalize();
+    }
+  }
+  return null;
+}
+
+// Versions are drawn from a single counter, so that a version identifies both a primitive
+// and the state it was in. A result stamped with the versions it depends on is therefore
+// still valid exactly when the same stamp is produced again.
+let lastVersion = 0;
+function nextVersion() {
+  return ++lastVersion;
+}
+
+/**
+ * @private
+ * A cache of results computed for individual primitives or contours, such as the
+ * arc-length tables or frames of a segment.
+ *
+ * Each result is stored with the `_dependencyVersion` of the object it was computed for,
+ * which changes whenever that object or anything it depends on is changed (see
+ * `Shape.markChanged()`). Results are reused until then, and recomputed on the next request
+ * afterward. A cache should only be used for results computed with the same settings
+ * (e.g. the same `curveDetail`); when the settings change, a new cache is needed.
+ *
+ * @class VersionedCache
+ */
+
+class VersionedCache {
+  #entries = new WeakMap();
+
+  get(object, compute) {
+    const version = object._dependencyVersion;
+    const entry = this.#entries.get(object);
+    if (entry !== undefined && entry.version === version) {
+      return entry.value;
+    }
+    const value = compute();
+    this.#entries.set(object, { version, value });
+    return value;
+  }
+}
+
 // ---- GENERAL BUILDING BLOCKS ----
 
 /**
@@ -139,6 +249,7 @@ class ShapePrimitive {
   _primitivesIndex = null;
   _contoursIndex = null;
   isClosing = false;
+  #version = nextVersion();
 
   constructor(...vertices) {
     if (this.constructor === ShapePrimitive) {
@@ -156,6 +267,21 @@ class ShapePrimitive {
     return this.vertices.length;
   }
 
+  // changes whenever the primitive's own vertices change
+  get _version() {
+    return this.#version;
+  }
+
+  // changes whenever the primitive or anything its geometry depends on changes; a segment
+  // depends on the primitive before it, which provides its start vertex
+  get _dependencyVersion() {
+    return this.#version;
+  }
+
+  _markChanged() {
+    this.#version = nextVersion();
+  }
+
   get vertexCapacity() {
     throw new Error('Getter vertexCapacity must be implemented.');
   }
@@ -193,6 +319,7 @@ class ShapePrimitive {
         pushableVertices = this.vertices.splice(0, spareCapacity);
         remainingVertices = this.vertices;
         lastPrimitive.vertices.push(...pushableVertices);
+        lastPrimitive._markChanged();
 
         if (remainingVertices.length > 0) {
           lastContour.primitives.push(this);
@@ -260,6 +387,10 @@ class ShapePrimitive {
  * By default, a contour has the same kind as the shape that contains it, but this
  * may be changed by passing a different `kind` to `beginContour()`.
  *
+ * A `SWEEP` contour is built from path primitives, exactly like a `PATH` contour. The path
+ * is the spine of the sweep, along which the shape's sweep slice is swept when the shape
+ * is visited by a `PrimitiveToSweepConverter`.
+ *
  * A `Contour` of any kind consists of `primitives`, which are the most basic
  * shapes that can be drawn. For example, if a contour is a hexagon, then
  * it's made from six line-segment primitives.
@@ -276,12 +407,27 @@ class Contour {
     this.primitives = [];
   }
 
+  // changes whenever any primitive in the contour changes
+  get _dependencyVersion() {
+    return this.primitives.map(primitive => primitive._version).join();
+  }
+
+  // An empty sweep contour is reported as an empty path, since its spine starts with an
+  // anchor just like a path does.
   get kind() {
     const isEmpty = this.primitives.length === 0;
-    const isPath = this.#kind === constants.PATH;
+    const isPath = this.#kind === constants.PATH || this.#kind === constants.SWEEP;
     return isEmpty && isPath ? constants.EMPTY_PATH : this.#kind;
   }
 
+  // whether the contour was closed with endContour(CLOSE)/endShape(CLOSE)
+  get isClosed() {
+    const last = this.primitives.at(-1);
+    return last instanceof SplineSegment ?
+      last._splineProperties.ends === constants.JOIN :
+      last?.isClosing ?? false;
+  }
+
   accept(visitor) {
     for (const primitive of this.primitives) {
       primitive.accept(visitor);
@@ -345,6 +491,10 @@ class Segment extends ShapePrimitive {
       null;
   }
 
+  get _dependencyVersion() {
+    return `${this._version}-${this._previousPrimitive?._version}`;
+  }
+
   getStartVertex() {
     return this._previousPrimitive.getEndVertex();
   }
@@ -352,6 +502,160 @@ class Segment extends ShapePrimitive {
   getEndVertex() {
     return this.vertices.at(-1);
   }
+
+  /*
+  getBezierPieces()
+
+  Returns the Bézier curves that trace the segment's positions, in order. Each piece is an
+  array of control points, with each control point given as an array of coordinates: a
+  line segment is a single linear piece, a Bézier segment is a single quadratic or cubic
+  piece, and a spline segment is a sequence of cubic pieces.
+
+  By default, the coordinates are those of each vertex's position. Any other data can be
+  traced by passing a function that converts a vertex to an array, such as
+  `vertex => shape.vertexToArray(vertex)` for all of the vertex's properties.
+  */
+  getBezierPieces(toArray) {
+    throw new Error('Method getBezierPieces() must be implemented.');
+  }
+
+  // point at parameter t of a piece, as an array like its control points
+  _pieceArrayAt(controls, t) {
+    const shape = this._shape;
+    switch (controls.length) {
+      case 2: {
+        const [a, b] = controls;
+        return shape.arraySum(shape.arrayScale(a, 1 - t), shape.arrayScale(b, t));
+      }
+      case 3:
+        return shape.evaluateQuadraticBezier(controls, t);
+      case 4:
+        return shape.evaluateCubicBezier(controls, t);
+    }
+  }
+
+  // position and first three derivatives, as vectors, at parameter t of a piece
+  _pieceDerivativesAt(controls, t) {
+    const shape = this._shape;
+    let arrays;
+
+    switch (controls.length) {
+      case 2: {
+        const [a, b] = controls;
+        const zero = a.map(() => 0);
+        arrays = [
+          this._pieceArrayAt(controls, t),
+          shape.arrayMinus(b, a),
+          zero,
+          zero
+        ];
+        break;
+      }
+      case 3:
+        arrays = [
+          shape.evaluateQuadraticBezier(controls, t),
+          shape.evaluateQuadraticBezierDerivative(controls, t),
+          shape.evaluateQuadraticBezierSecondDerivative(controls, t),
+          controls[0].map(() => 0)
+        ];
+        break;
+      case 4:
+        arrays = [
+          shape.evaluateCubicBezier(controls, t),
+          shape.evaluateCubicBezierDerivative(controls, t),
+          shape.evaluateCubicBezierSecondDerivative(controls, t),
+          shape.evaluateCubicBezierThirdDerivative(controls, t)
+        ];
+        break;
+    }
+    return arrays.map(array => new Vector(...array));
+  }
+
+  _pieceTangentAt(controls, t) {
+    return tangentFromDerivatives(
+      this._pieceDerivativesAt(controls, t),
+      hullLength(controls),
+      t === 1
+    );
+  }
+
+  // Quantities like curvature that are defined in terms of the derivatives are limits of
+  // their nearby values where the first derivative vanishes, so the derivatives are then
+  // evaluated just inside the piece. Returns null if the piece doesn't have a direction.
+  _pieceRegularDerivativesAt(controls, t) {
+    const scale = hullLength(controls);
+    let derivatives = this._pieceDerivativesAt(controls, t);
+
+    if (derivatives[1].mag() <= VANISHING_DERIVATIVE * scale) {
+      const nudge = 1e-6;
+      derivatives = this._pieceDerivativesAt(controls, t < 1 ? t + nudge : t - nudge);
+      if (derivatives[1].mag() <= VANISHING_DERIVATIVE * scale) {
+        return null;
+      }
+    }
+    return derivatives;
+  }
+
+  // The curvature vector is the derivative of the unit tangent with respect to arc length.
+  // Where the first derivative vanishes, the curvature is the limit of nearby curvatures
+  // (possibly very large).
+  _pieceCurvatureVectorAt(controls, t) {
+    const derivatives = this._pieceRegularDerivativesAt(controls, t);
+    if (derivatives === null) {
+      return new Vector(0, 0, 0);
+    }
+
+    const [, first, second] = derivatives;
+    const speedSquared = first.dot(first);
+    const tangent = first.copy().mult(1 / Math.sqrt(speedSquared));
+    return second.sub(tangent.mult(tangent.dot(second))).mult(1 / speedSquared);
+  }
+
+  // piece containing parameter t of the segment, and the parameter within that piece
+  #pieceAt(t) {
+    const pieces = this.getBezierPieces();
+    const index = Math.min(Math.floor(t * pieces.length), pieces.length - 1);
+    return {
+      controls: pieces[index],
+      t: t * pieces.length - index,
+      count: pieces.length
+    };
+  }
+
+  /*
+  getDerivativesAt(t)
+
+  Returns the position and its first three derivatives at parameter t in [0, 1], as
+  vectors. For a spline segment, each Bézier piece covers an equal share of the
+  parameter interval.
+  */
+  getDerivativesAt(t) {
+    const piece = this.#pieceAt(t);
+    return this._pieceDerivativesAt(piece.controls, piece.t).map(
+      (derivative, k) => derivative.mult(Math.pow(piece.count, k))
+    );
+  }
+
+  /*
+  getTangentAt(t)
+
+  Returns the unit tangent at parameter t in [0, 1]. Where the derivative vanishes because
+  control points coincide, the tangent is the limit of nearby tangents. Returns null if
+  the segment doesn't have a direction (all its points coincide).
+  */
+  getTangentAt(t) {
+    const piece = this.#pieceAt(t);
+    return this._pieceTangentAt(piece.controls, piece.t);
+  }
+
+  getCurvatureVectorAt(t) {
+    const piece = this.#pieceAt(t);
+    return this._pieceCurvatureVectorAt(piece.controls, piece.t);
+  }
+
+  getCurvatureAt(t) {
+    return this.getCurvatureVectorAt(t).mag();
+  }
 }
 
 /**
@@ -373,6 +677,13 @@ class LineSegment extends Segment {
   accept(visitor) {
     visitor.visitLineSegment(this);
   }
+
+  getBezierPieces(toArray = vertex => vertex.position.array()) {
+    return [[
+      toArray(this.getStartVertex()),
+      toArray(this.getEndVertex())
+    ]];
+  }
 }
 
 class BezierSegment extends Segment {
@@ -399,20 +710,29 @@ class BezierSegment extends Segment {
     return this.#vertexCapacity;
   }
 
-  #_hullLength;
+  // remembered until the segment or its start vertex changes
+  #hullLength = null;
   hullLength() {
-    if (this.#_hullLength === undefined) {
-      this.#_hullLength = polylineLength([
-        this.getStartVertex(),
-        ...this.vertices
-      ]);
+    const version = this._dependencyVersion;
+    if (this.#hullLength?.version !== version) {
+      this.#hullLength = {
+        version,
+        value: polylineLength([this.getStartVertex(), ...this.vertices])
+      };
     }
-    return this.#_hullLength;
+    return this.#hullLength.value;
   }
 
   accept(visitor) {
     visitor.visitBezierSegment(this);
   }
+
+  getBezierPieces(toArray = vertex => vertex.position.array()) {
+    return [[
+      this.getStartVertex(),
+      ...this.vertices
+    ].map(toArray)];
+  }
 }
 
 class SplineSegment extends Segment {
@@ -430,6 +750,21 @@ class SplineSegment extends Segment {
     visitor.visitSplineSegment(this);
   }
 
+  // Catmull-Rom pieces converted to cubic Bézier pieces, as in PrimitiveToVerticesConverter
+  getBezierPieces(toArray = vertex => vertex.position.array()) {
+    const arrays = this.getControlPoints().map(toArray);
+    const bezierArrays = this._shape.catmullRomToBezier(
+      arrays,
+      this._splineProperties.tightness
+    );
+    let start = toArray(this._firstInterpolatedVertex);
+    return bezierArrays.map(array => {
+      const piece = [start, ...array];
+      start = array[2];
+      return piece;
+    });
+  }
+
   get _comesAfterSegment() {
     return this._previousPrimitive instanceof Segment;
   }
@@ -539,6 +874,7 @@ class SplineSegment extends Segment {
 
   close() {
     this._splineProperties.ends = constants.JOIN;
+    this._markChanged();
   }
 }
 
@@ -568,14 +904,17 @@ class PrimitiveShapeCreators {
     creators.set(`vertex-${constants.EMPTY_PATH}`, (...vertices) => new Anchor(...vertices));
     creators.set(`vertex-${constants.PATH}`, (...vertices) => new LineSegment(...vertices));
     creators.set(`vertex-${constants.TRIANGLE_STRIP}`, (...vertices) => new TriangleStrip(...vertices));
+    creators.set(`vertex-${constants.SWEEP}`, (...vertices) => new LineSegment(...vertices));
 
     // bezierVertex (constructors all take order and vertices so they can be called in a uniform way)
     creators.set(`bezierVertex-${constants.EMPTY_PATH}`, (order, ...vertices) => new Anchor(...vertices));
     creators.set(`bezierVertex-${constants.PATH}`, (order, ...vertices) => new BezierSegment(order, ...vertices));
+    creators.set(`bezierVertex-${constants.SWEEP}`, (order, ...vertices) => new BezierSegment(order, ...vertices));
 
     // splineVertex
     creators.set(`splineVertex-${constants.EMPTY_PATH}`, (...vertices) => new Anchor(...vertices));
     creators.set(`splineVertex-${constants.PATH}`, (...vertices) => new SplineSegment(...vertices));
+    creators.set(`splineVertex-${constants.SWEEP}`, (...vertices) => new SplineSegment(...vertices));
 
     this.creators = creators;
   }
@@ -654,12 +993,20 @@ class Shape {
   #initialVertexProperties;
   #primitiveShapeCreators;
   #bezierOrder = 3;
+  #pointAtLengthGetter = null;
+  #framesConverter = null;
+  #lengthsCache = new VersionedCache();
+  #framesCache = new VersionedCache();
   kind = null;
   contours = [];
   _splineProperties = {
     tightness: 0,
     ends: constants.INCLUDE
   };
+  _sweepProperties = this.#initialSweepProperties();
+  _arcLengthProperties = {
+    tolerance: constants.TOLERANCE
+  };
   userVertexProperties = null;
 
   constructor(
@@ -787,6 +1134,69 @@ class Shape {
     );
   }
 
+  evaluateCubicBezierDerivative([a, b, c, d], t) {
+    return this.arraySum(
+      this.arrayScale(this.arrayMinus(b, a), 3 * Math.pow(1 - t, 2)),
+      this.arrayScale(this.arrayMinus(c, b), 6 * (1 - t) * t),
+      this.arrayScale(this.arrayMinus(d, c), 3 * t * t)
+    );
+  }
+
+  evaluateCubicBezierSecondDerivative([a, b, c, d], t) {
+    return this.arraySum(
+      this.arrayScale(this.arraySum(a, this.arrayScale(b, -2), c), 6 * (1 - t)),
+      this.arrayScale(this.arraySum(b, this.arrayScale(c, -2), d), 6 * t)
+    );
+  }
+
+  // constant, so t is only accepted for a uniform call signature
+  evaluateCubicBezierThirdDerivative([a, b, c, d], t) {
+    return this.arrayScale(
+      this.arraySum(this.arrayMinus(d, a), this.arrayScale(this.arrayMinus(b, c), 3)),
+      6
+    );
+  }
+
+  evaluateQuadraticBezierDerivative([a, b, c], t) {
+    return this.arraySum(
+      this.arrayScale(this.arrayMinus(b, a), 2 * (1 - t)),
+      this.arrayScale(this.arrayMinus(c, b), 2 * t)
+    );
+  }
+
+  // constant, so t is only accepted for a uniform call signature
+  evaluateQuadraticBezierSecondDerivative([a, b, c], t) {
+    return this.arrayScale(this.arraySum(a, this.arrayScale(b, -2), c), 2);
+  }
+
+  /*
+  splitBezier(controls, t)
+
+  Splits a Bézier curve of any order at parameter t, with de Casteljau's algorithm.
+  Returns the control points of the part before t and the part after it, as two arrays of
+  the same order as the original. The split is exact: together, the two parts trace the
+  same curve.
+  */
+  splitBezier(controls, t) {
+    const before = [controls[0]];
+    const after = [controls.at(-1)];
+    let points = controls;
+    while (points.length > 1) {
+      points = points.slice(1).map((point, i) =>
+        this.arraySum(this.arrayScale(points[i], 1 - t), this.arrayScale(point, t))
+      );
+      before.push(points[0]);
+      after.unshift(points.at(-1));
+    }
+    return [before, after];
+  }
+
+  // control points of the part of a Bézier curve between parameters t0 and t1
+  #bezierBetween(controls, t0, t1) {
+    const [upToEnd] = t1 < 1 ? this.splitBezier(controls, t1) : [controls];
+    return t0 > 0 ? this.splitBezier(upToEnd, t0 / t1)[1] : upToEnd;
+  }
+
   /*
   catmullRomToBezier(vertices, tightness)
 
@@ -844,9 +1254,29 @@ class Shape {
     }
   }
 
+  // Results computed by visitors are cached, and rebuilt lazily after the shape is changed
+  // through its own methods. Rebuilding reuses the results for each segment and contour
+  // that hasn't changed, which are kept in versioned caches.
+  #clearCaches() {
+    this.#pointAtLengthGetter = null;
+    this.#framesConverter = null;
+  }
+
+  #initialSweepProperties() {
+    return {
+      mode: constants.FREE,
+      reference: null,
+      slice: null
+    };
+  }
+
   // maybe call this clear() for consistency with PrimitiveShapeCreators.clear()?
   reset() {
     this.#vertexProperties = { ...this.#initialVertexProperties };
+    this._sweepProperties = this.#initialSweepProperties();
+    this.#clearCaches();
+    this.#lengthsCache = new VersionedCache();
+    this.#framesCache = new VersionedCache();
     this.kind = null;
     this.contours = [];
     this.userVertexProperties = null;
@@ -882,6 +1312,7 @@ class Shape {
 
   splineProperty(key, value) {
     this._splineProperties[key] = value;
+    this.#clearCaches();
   }
 
   splineProperties(values) {
@@ -894,6 +1325,88 @@ class Shape {
     }
   }
 
+  /*
+  arcLengthProperty(key, value), arcLengthProperties([values])
+
+  Set the options used to build the shape's arc-length look-up table. These are passed to
+  PointAtLengthGetter, so they include `tolerance`, the largest acceptable error in lengths,
+  `integrator`, the quadrature rule, and `samplesPerPiece`, the resolution of the table.
+  */
+  arcLengthProperty(key, value) {
+    this._arcLengthProperties[key] = value;
+    this.#pointAtLengthGetter = null;
+    this.#lengthsCache = new VersionedCache();
+  }
+
+  arcLengthProperties(values) {
+    if (values) {
+      for (const key in values) {
+        this.arcLengthProperty(key, values[key]);
+      }
+    } else {
+      return this._arcLengthProperties;
+    }
+  }
+
+  /*
+  sweepMode(mode, [reference])
+
+  Sets how frames are oriented along the shape's paths, for sweeps and rails:
+  - FREE (default): rotation minimizing frames, which minimize twist.
+  - FIXED: frames whose binormal stays as close as possible to the "up" direction
+    `reference`, which defaults to the positive z-axis. Where a path runs parallel to the
+    reference, frames fall back to rotation minimizing frames.
+  - FRENET: Frenet–Serret frames, mainly for comparison.
+  */
+  sweepMode(mode, reference) {
+    this._sweepProperties.mode = mode;
+    this._sweepProperties.reference = mode === constants.FIXED ?
+      reference?.copy() ?? new Vector(0, 0, 1) :
+      null;
+    this.#framesConverter = null;
+    this.#framesCache = new VersionedCache();
+  }
+
+  /*
+  sweepSlice(slice)
+
+  Sets the slice (the 2D profile) that's swept along the spines of the shape's SWEEP
+  contours. The slice may be any shape whose path contours lie in the xy-plane, including
+  Bézier curves and splines, or an object literal that describes a primitive shape:
+  - `{ shape: CIRCLE, x, y, radius }`: a circle centered at (x, y). The center defaults
+    to the origin, and the radius defaults to 1.
+  Shapes for other common profiles, such as stars, rounded rectangles, and beams, are made
+  by the profiles module.
+
+  The origin of the slice is placed at the spine, and its xy-plane is mapped onto the
+  normal-binormal plane of each frame, with the x-axis along the normal and the y-axis
+  along the binormal. So a slice that's offset from its origin sweeps out a surface that's
+  offset from the spine; for example, a circle centered at (10, 0) makes a tube that
+  floats 10 units from the spine. Closed slice contours make tubes, and open ones make
+  ribbons. The slice is read when the shape is visited, so later changes to a slice shape
+  are swept too.
+
+  The default slice is the unit circle centered at the origin, which is restored by
+  passing `null`.
+  */
+  sweepSlice(slice) {
+    if (slice === null || slice instanceof Shape) {
+      this._sweepProperties.slice = slice;
+      return;
+    }
+    switch (slice?.shape) {
+      case constants.CIRCLE: {
+        const { x = 0, y = 0, radius = 1 } = slice;
+        this._sweepProperties.slice = circleSlice(x, y, radius);
+        return;
+      }
+      default:
+        throw new Error(
+          `sweepSlice() requires a shape or a description of a primitive shape, but got ${slice}.`
+        );
+    }
+  }
+
   /*
   To-do: Maybe refactor #createVertex() since this has side effects that aren't advertised
   in the method name?
@@ -926,6 +1439,7 @@ class Shape {
     vertex, and has the primitive add itself to the shape.
   */
   #generalVertex(kind, position, textureCoordinates) {
+    this.#clearCaches();
     let vertexKind = kind;
     let lastContourKind = this.at(-1).kind;
     let vertex = this.#createVertex(position, textureCoordinates);
@@ -952,7 +1466,8 @@ class Shape {
     this.#generalVertex('splineVertex', position, textureCoordinates);
   }
 
-  beginContour(shapeKind = constants.PATH) {
+  beginContour(shapeKind = this.kind ?? constants.PATH) {
+    this.#clearCaches();
     if (this.at(-1)?.kind === constants.EMPTY_PATH) {
       this.contours.pop();
     }
@@ -960,10 +1475,11 @@ class Shape {
   }
 
   endContour(closeMode = constants.OPEN, _index = this.contours.length - 1) {
+    this.#clearCaches();
     const contour = this.at(_index);
     if (closeMode === constants.CLOSE) {
       // shape characteristics
-      const isPath = contour.kind === constants.PATH;
+      const isPath = contour.kind === constants.PATH || contour.kind === constants.SWEEP;
 
       // anchor characteristics
       const anchorVertex = this.at(_index, 0, 0);
@@ -1023,114 +1539,778 @@ class Shape {
       contour.accept(visitor);
     }
   }
-}
 
-// ---- PRIMITIVE VISITORS ----
+  // ---- CHANGE TRACKING ----
 
-// abstract class
-class PrimitiveVisitor {
-  constructor() {
-    if (this.constructor === PrimitiveVisitor) {
-      throw new Error('PrimitiveVisitor is an abstract class: it cannot be instantiated.');
+  /*
+  markChanged([contoursIndex], [primitivesIndex])
+
+  Records that vertices of the shape were edited in place, e.g. by setting
+  `myShape.at(0, 2, 0).position.x`, so that cached lengths, look-up tables, frames, and
+  tessellations that depend on them are recomputed. Given a contour index and a primitive
+  index, only that primitive is marked; given only a contour index, every primitive in the
+  contour is marked; and given neither, the whole shape is marked.
+
+  Results for everything else are reused: a segment's results depend only on the segment
+  and the primitive before it (which provides its start vertex), and a contour's frames
+  depend only on the primitives in the contour. Vertices edited with setVertex() are marked
+  automatically.
+  */
+  markChanged(contoursIndex, primitivesIndex) {
+    const contours = contoursIndex === undefined ?
+      this.contours :
+      [this.at(contoursIndex)];
+    for (const contour of contours) {
+      const primitives = primitivesIndex === undefined ?
+        contour.primitives :
+        [contour.primitives.at(primitivesIndex)];
+      for (const primitive of primitives) {
+        primitive._markChanged();
+      }
+
+      // the line that closes a contour shares its vertex with the anchor
+      const last = contour.primitives.at(-1);
+      if (primitives.includes(contour.primitives[0]) && last?.isClosing) {
+        last._markChanged();
+      }
     }
+    this.#clearCaches();
   }
-  // path primitives
-  visitAnchor(anchor) {
-    throw new Error('Method visitAnchor() has not been implemented.');
-  }
-  visitLineSegment(lineSegment) {
-    throw new Error('Method visitLineSegment() has not been implemented.');
-  }
-  visitBezierSegment(bezierSegment) {
-    throw new Error('Method visitBezierSegment() has not been implemented.');
+
+  /*
+  setVertex(contoursIndex, primitivesIndex, verticesIndex, properties)
+
+  Sets properties of an existing vertex, such as its `position` or `fill`, and marks its
+  primitive as changed (see markChanged()). If the vertex is the anchor of a contour that
+  was closed with a line, the closing vertex gets the same properties, so the contour stays
+  closed. Indices may be negative, as in at().
+  */
+  setVertex(contoursIndex, primitivesIndex, verticesIndex, properties) {
+    const contour = this.at(contoursIndex);
+    const primitive = contour.primitives.at(primitivesIndex);
+    Object.assign(primitive.vertices.at(verticesIndex), properties);
+
+    const last = contour.primitives.at(-1);
+    if (primitive === contour.primitives[0] && last.isClosing) {
+      Object.assign(last.getEndVertex(), properties);
+    }
+    this.markChanged(this.contours.indexOf(contour), contour.primitives.indexOf(primitive));
   }
-  visitSplineSegment(curveSegment) {
-    throw new Error('Method visitSplineSegment() has not been implemented.');
+
+  // ---- ARC LENGTH ----
+
+  #arcLengths() {
+    if (this.#pointAtLengthGetter === null) {
+      this.#pointAtLengthGetter = new PointAtLengthGetter({
+        ...this._arcLengthProperties,
+        cache: this.#lengthsCache
+      });
+      this.accept(this.#pointAtLengthGetter);
+    }
+    return this.#pointAtLengthGetter;
   }
 
-  // tessellation primitives
-  visitTriangleStrip(triangleStrip) {
-    throw new Error('Method visitTriangleStrip() has not been implemented.');
+  /*
+  getTotalLength([contoursIndex])
+
+  Returns the total length of the shape's path contours, or the length of a single
+  contour, given its index.
+  */
+  getTotalLength(contoursIndex) {
+    const arcLengths = this.#arcLengths();
+    if (contoursIndex === undefined) {
+      return arcLengths.totalLength;
+    }
+    const contour = arcLengths.contours.find(contour => contour.contoursIndex === contoursIndex);
+    return contour?.length ?? 0;
   }
-}
 
-class PrimitiveToVerticesConverter extends PrimitiveVisitor {
-  contours = [];
-  curveDetail;
+  /*
+  getPointAtLength(length)
 
-  constructor({ curveDetail = 1 } = {}) {
-    super();
-    this.curveDetail = curveDetail;
+  Returns the position at the given distance along the shape's path contours, as a vector.
+  See PointAtLengthGetter for details.
+  */
+  getPointAtLength(length) {
+    return this.#arcLengths().getPointAtLength(length);
   }
 
-  lastContour() {
-    return this.contours[this.contours.length - 1];
+  /*
+  getLocationAtLength(length, [contoursIndex])
+
+  Returns the location at the given distance along the shape's path contours, including
+  the parameter found there and the error and iteration count of the search for it.
+  If a contour index is given, the distance is measured along that contour only.
+  See PointAtLengthGetter for details.
+  */
+  getLocationAtLength(length, contoursIndex) {
+    return this.#arcLengths().getLocationAtLength(length, contoursIndex);
   }
 
-  visitAnchor(anchor) {
-    this.contours.push([]);
-    // Weird edge case: if the next segment is a spline, we might
-    // need to jump to a different vertex.
-    const next = anchor._nextPrimitive;
-    if (next?.canOverrideAnchor) {
-      this.lastContour().push(next._firstInterpolatedVertex);
-    } else {
-      this.lastContour().push(anchor.getEndVertex());
-    }
+  /*
+  getLocationAtPoint(point)
+
+  Returns the location on the shape's path contours that is closest to the given point,
+  including its length along the paths, its parameter, its `position`, and its Euclidean
+  `distance` from the point. See PointAtLengthGetter for details.
+  */
+  getLocationAtPoint(point) {
+    return this.#arcLengths().getLocationAtPoint(point);
   }
-  visitLineSegment(lineSegment) {
-    this.lastContour().push(lineSegment.getEndVertex());
+
+  /*
+  getLengthAtPoint(point)
+
+  Returns the distance along the shape's path contours to the point on them that is
+  closest to the given point, or null if the shape has no path segments. This is the
+  inverse of getPointAtLength() for points on the paths.
+  */
+  getLengthAtPoint(point) {
+    return this.getLocationAtPoint(point)?.length ?? null;
   }
-  visitBezierSegment(bezierSegment) {
-    const contour = this.lastContour();
-    const numPoints = Math.max(
-      1,
-      Math.ceil(bezierSegment.hullLength() * this.curveDetail)
-    );
-    const vertexArrays = [
-      bezierSegment.getStartVertex(),
-      ...bezierSegment.vertices
-    ].map(v => bezierSegment._shape.vertexToArray(v));
-    for (let i = 0; i < numPoints; i++) {
-      const t = (i + 1) / numPoints;
-      contour.push(
-        bezierSegment._shape.arrayToVertex(
-          bezierSegment.order === 3
-            ? bezierSegment._shape.evaluateCubicBezier(vertexArrays, t)
-            : bezierSegment._shape.evaluateQuadraticBezier(vertexArrays, t)
-        )
-      );
+
+  #frames() {
+    if (this.#framesConverter === null) {
+      this.#framesConverter = new PrimitiveToFramesConverter({ cache: this.#framesCache });
+      this.accept(this.#framesConverter);
     }
+    return this.#framesConverter;
   }
-  visitSplineSegment(splineSegment) {
-    const shape = splineSegment._shape;
-    const contour = this.lastContour();
 
-    const arrayVertices = splineSegment.getControlPoints().map(
-      v => shape.vertexToArray(v)
-    );
-    let bezierArrays = shape.catmullRomToBezier(
-      arrayVertices,
-      splineSegment._splineProperties.tightness
+  /*
+  getFrameAtLength(length, [contoursIndex])
+
+  Returns the frame at the given distance along the shape's path contours, oriented
+  according to the shape's sweep mode. The position and tangent are exact (up to the
+  accuracy of the arc-length search). In FREE mode, the normal and binormal are
+  interpolated from the frames sampled by PrimitiveToFramesConverter on either side (see
+  interpolateFrame() in the frames module); in FIXED and FRENET modes, they're computed at
+  the point, unless they're undefined there. Lengths outside [0, getTotalLength()] are
+  clamped. If a contour index is given, the distance is measured along that contour only.
+
+  Along with `position`, `tangent`, `normal`, and `binormal`, the result has a `matrix`:
+  a column-major gl-matrix mat4 that maps the x-, y-, and z-axes onto the normal, binormal,
+  and tangent, and the origin onto the position (see frameToMatrix()). It can be passed
+  directly to a WebGL uniform as a model matrix. Returns null if the shape has no path
+  segments.
+  */
+  getFrameAtLength(length, contoursIndex) {
+    const location = this.getLocationAtLength(length, contoursIndex);
+    if (location === null) {
+      return null;
+    }
+    const { primitivesIndex, pieceIndex, t } = location;
+    const { frames, locations } = this.#frames().contours.find(
+      contour => contour.contoursIndex === location.contoursIndex
     );
-    let startVertex = shape.vertexToArray(splineSegment._firstInterpolatedVertex);
-    for (const array of bezierArrays) {
-      const bezierControls = [startVertex, ...array];
-      const numPoints = Math.max(
-        1,
-        Math.ceil(
-          polylineLength(bezierControls.map(v => shape.arrayToVertex(v))) *
-          this.curveDetail
-        )
+
+    // last sampled frame at or before the location
+    const isAtOrBefore = sample =>
+      sample.primitivesIndex < primitivesIndex ||
+      sample.primitivesIndex === primitivesIndex && (
+        sample.pieceIndex < pieceIndex ||
+        sample.pieceIndex === pieceIndex && sample.t <= t
       );
-      for (let i = 0; i < numPoints; i++) {
-        const t = (i + 1) / numPoints;
-        contour.push(
-          shape.arrayToVertex(shape.evaluateCubicBezier(bezierControls, t))
-        );
+    let low = 0;
+    let high = locations.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (isAtOrBefore(locations[middle])) {
+        low = middle;
+      } else {
+        high = middle - 1;
       }
-      startVertex = array[2];
     }
+    const before = frames[low];
+    const after = frames[Math.min(low + 1, frames.length - 1)];
+
+    const segment = this.at(location.contoursIndex, primitivesIndex);
+    const controls = segment.getBezierPieces()[pieceIndex];
+    const [position] = segment._pieceDerivativesAt(controls, t);
+    const tangent = segment._pieceTangentAt(controls, t) ?? before.tangent;
+
+    // Fixed-up and Frenet–Serret frames are determined by the point itself, except where
+    // they're undefined and have to be carried from their neighbors
+    const { mode, reference } = this._sweepProperties;
+    let frame = null;
+    if (mode === constants.FIXED) {
+      const fixed = fixedFrames([position], [tangent], reference);
+      frame = fixed.fallbackSpans.length === 0 ? fixed.frames[0] : null;
+    } else if (mode === constants.FRENET) {
+      const curvatures = [segment._pieceCurvatureVectorAt(controls, t)];
+      const frenet = frenetFrames([position], [tangent], { curvatures });
+      frame = frenet.degenerateSpans.length === 0 ? frenet.frames[0] : null;
+    }
+    frame ??= interpolateFrame(before, after, position, tangent);
+
+    return { ...frame, matrix: frameToMatrix(frame) };
+  }
+
+  // ---- DIFFERENTIAL GEOMETRY ----
+
+  // segment, Bézier piece, and parameter at a length
+  #pieceAtLength(length, contoursIndex) {
+    const location = this.getLocationAtLength(length, contoursIndex);
+    if (location === null) {
+      return null;
+    }
+    const segment = this.at(location.contoursIndex, location.primitivesIndex);
+    const controls = segment.getBezierPieces()[location.pieceIndex];
+    return { segment, controls, t: location.t };
+  }
+
+  /*
+  getCurvatureAtLength(length, [contoursIndex])
+
+  Returns the curvature at the given distance along the shape's path contours: the rate at
+  which the tangent turns per unit of length, which is the reciprocal of the radius of the
+  circle that best fits the path there. A sweep self-intersects on the inside of a bend
+  wherever its profile extends farther from the path than that radius. Where the path has a
+  cusp, the curvature is the limit of nearby curvatures, so it may be very large.
+
+  Lengths are handled as in getFrameAtLength(). Returns null if the shape has no path
+  segments.
+  */
+  getCurvatureAtLength(length, contoursIndex) {
+    const piece = this.#pieceAtLength(length, contoursIndex);
+    return piece && piece.segment._pieceCurvatureVectorAt(piece.controls, piece.t).mag();
+  }
+
+  /*
+  getSignedCurvatureAtLength(length, [contoursIndex])
+
+  Returns the signed curvature of the path's projection onto the xy-plane, at the given
+  distance along the shape's path contours. It's positive where the path turns from the
+  positive x-axis toward the positive y-axis (counterclockwise in a y-up coordinate
+  system, or clockwise on a y-down canvas), and negative where it turns the other way, so
+  sign changes mark inflection points. For a path in the xy-plane, its magnitude is the
+  curvature.
+
+  Lengths are handled as in getFrameAtLength(). Returns null if the shape has no path
+  segments.
+  */
+  getSignedCurvatureAtLength(length, contoursIndex) {
+    const piece = this.#pieceAtLength(length, contoursIndex);
+    if (piece === null) {
+      return null;
+    }
+    const derivatives = piece.segment._pieceRegularDerivativesAt(piece.controls, piece.t);
+    if (derivatives === null) {
+      return 0;
+    }
+    const [, first, second] = derivatives;
+    const planarSpeed = Math.hypot(first.x, first.y);
+    return planarSpeed > 0 ?
+      (first.x * second.y - first.y * second.x) / Math.pow(planarSpeed, 3) :
+      0;
+  }
+
+  /*
+  getTorsionAtLength(length, [contoursIndex])
+
+  Returns the torsion at the given distance along the shape's path contours: the rate at
+  which the path twists out of its osculating plane (the plane of the tangent and the
+  curvature vector) per unit of length. Planar paths have no torsion, and a helix has
+  constant torsion. Where the curvature vanishes, the osculating plane is undefined and the
+  torsion is taken to be 0.
+
+  Lengths are handled as in getFrameAtLength(). Returns null if the shape has no path
+  segments.
+  */
+  getTorsionAtLength(length, contoursIndex) {
+    const piece = this.#pieceAtLength(length, contoursIndex);
+    if (piece === null) {
+      return null;
+    }
+    const derivatives = piece.segment._pieceRegularDerivativesAt(piece.controls, piece.t);
+    if (derivatives === null) {
+      return 0;
+    }
+    const [, first, second, third] = derivatives;
+    const binormal = first.cross(second);
+    const binormalSquared = binormal.dot(binormal);
+    const scale = first.dot(first) * second.dot(second);
+    return binormalSquared > VANISHING_DERIVATIVE * VANISHING_DERIVATIVE * scale ?
+      binormal.dot(third) / binormalSquared :
+      0;
+  }
+
+  /*
+  getSpeedAtLength(length, [contoursIndex])
+
+  Returns the parametric speed at the given distance along the shape's path contours: the
+  magnitude of the derivative of the position with respect to the parameter `t` of the
+  Bézier piece there (see getLocationAtLength()), which is the segment's own parameter for
+  line and Bézier segments. Where it's much smaller than the piece's length, equal steps in
+  `t` bunch up, and where it vanishes, the path may have a cusp.
+
+  Lengths are handled as in getFrameAtLength(). Returns null if the shape has no path
+  segments.
+  */
+  getSpeedAtLength(length, contoursIndex) {
+    const piece = this.#pieceAtLength(length, contoursIndex);
+    return piece && piece.segment._pieceDerivativesAt(piece.controls, piece.t)[1].mag();
+  }
+
+  /*
+  getCurvaturePlot(contoursIndex, [count])
+
+  Samples the curvature of a path contour at `count` evenly spaced lengths, from its start
+  to its end, e.g. for plotting the curvature against length, or for color-coding a path by
+  how sharply it bends. Each sample is an object with the `length` along the contour, the
+  `curvature`, and the `signedCurvature` (see getSignedCurvatureAtLength()). Returns an
+  empty array if the contour has no segments.
+  */
+  getCurvaturePlot(contoursIndex, count = 100) {
+    if (this.getLocationAtLength(0, contoursIndex) === null) {
+      return [];
+    }
+    const pathLength = this.getTotalLength(contoursIndex);
+    const intervals = Math.max(count - 1, 1);
+    return Array.from({ length: count }, (_, k) => {
+      const length = pathLength * k / intervals;
+      return {
+        length,
+        curvature: this.getCurvatureAtLength(length, contoursIndex),
+        signedCurvature: this.getSignedCurvatureAtLength(length, contoursIndex)
+      };
+    });
+  }
+
+  // ---- DERIVED SHAPES ----
+
+  // all of a vertex's data at a location on a path, as a vertex object
+  #vertexAtLocation({ contoursIndex, primitivesIndex, pieceIndex, t }, piecesBySegment) {
+    const segment = this.at(contoursIndex, primitivesIndex);
+    if (!piecesBySegment.has(segment)) {
+      piecesBySegment.set(segment, segment.getBezierPieces(vertex => this.vertexToArray(vertex)));
+    }
+    const controls = piecesBySegment.get(segment)[pieceIndex];
+    return this.arrayToVertex(segment._pieceArrayAt(controls, t));
+  }
+
+  // an empty shape with the same vertex properties and settings as this shape
+  // (used by derived shapes, including morphs)
+  _emptyCopy() {
+    const copy = new Shape(
+      { ...this.#initialVertexProperties },
+      this.#primitiveShapeCreators
+    );
+    copy.sweepMode(this._sweepProperties.mode, this._sweepProperties.reference);
+    copy.arcLengthProperties({ ...this._arcLengthProperties });
+    return copy;
+  }
+
+  // adds a vertex object (such as one from #vertexAtLocation()) to a copy of this shape,
+  // with a vertex function such as vertex() or bezierVertex()
+  _addVertexTo(copy, vertex, kind = 'vertex') {
+    for (const [key, value] of Object.entries(vertex)) {
+      if (key === 'position' || key === 'textureCoordinates') continue;
+      if (this.userVertexProperties && key in this.userVertexProperties) {
+        copy.vertexProperty(this.vertexPropertyName(key), value);
+      } else {
+        copy[key](value);
+      }
+    }
+    copy[kind](vertex.position, vertex.textureCoordinates);
+  }
+
+  /*
+  getVertexAtLength(length, [contoursIndex])
+
+  Returns a vertex object with all of the vertex properties (position, fill, stroke,
+  texture coordinates, and any properties set with vertexProperty()) at the given distance
+  along the shape's path contours, interpolated in the same way as positions. If a contour
+  index is given, the distance is measured along that contour only. Returns null if there
+  are no path segments to measure along.
+  */
+  getVertexAtLength(length, contoursIndex) {
+    const location = this.getLocationAtLength(length, contoursIndex);
+    return location === null ? null : this.#vertexAtLocation(location, new Map());
+  }
+
+  /*
+  resample({count, spacing})
+
+  Returns a new shape in which each path contour of this shape is replaced by a polyline
+  whose vertices are evenly spaced by arc length. The new shape is built with
+  beginShape()/vertex()/endShape(), and its vertices have all the properties of the
+  original vertices (fill, stroke, texture coordinates, and any properties set with
+  vertexProperty()), interpolated along the paths in the same way as positions.
+
+  Either a vertex `count` for each contour or a target `spacing` between vertices must be
+  given. An open contour gets vertices at both of its ends, and a closed contour is closed
+  with endContour(CLOSE), so its last vertex isn't repeated; a count must be at least 2 for
+  an open contour and at least 3 for a closed one. A spacing is adjusted so that it divides
+  each contour evenly, into at least as many vertices as a count would need. Contours without segments, and contours that aren't
+  paths, are left out. The new shape has the same sweep mode and arc-length properties.
+  */
+  resample({ count, spacing } = {}) {
+    if (count === undefined && spacing === undefined) {
+      throw new Error('resample() requires either a vertex count or a spacing.');
+    }
+    if (count !== undefined && !(Number.isInteger(count) && count >= 2)) {
+      throw new Error(
+        `resample() requires a vertex count that's an integer of at least 2, but got ${count}.`
+      );
+    }
+    if (count === undefined && !(spacing > 0 && spacing < Infinity)) {
+      throw new Error(`resample() requires a positive, finite spacing, but got ${spacing}.`);
+    }
+    const arcLengths = this.#arcLengths();
+    const result = this._emptyCopy();
+    const piecesBySegment = new Map();
+    const contours = arcLengths.contours.filter(contour => contour.pieces.length > 0);
+    if (count !== undefined && count < 3 && contours.some(contour => contour.isClosed)) {
+      throw new Error(
+        `resample() requires a vertex count of at least 3 for a closed contour, but got ${count}.`
+      );
+    }
+    contours.forEach(({ contoursIndex, length, isClosed }, i) => {
+      const intervals = count !== undefined ?
+        (isClosed ? count : count - 1) :
+        Math.max(Math.round(length / spacing), isClosed ? 3 : 1);
+      const vertexCount = isClosed ? intervals : intervals + 1;
+
+      if (i === 0) {
+        result.beginShape();
+      } else {
+        result.beginContour();
+      }
+      for (let k = 0; k < vertexCount; k++) {
+        const location = arcLengths.getLocationAtLength(length * k / intervals, contoursIndex);
+        this._addVertexTo(result, this.#vertexAtLocation(location, piecesBySegment));
+      }
+      result.endContour(isClosed ? constants.CLOSE : constants.OPEN);
+    });
+    result.endShape();
+    return result;
+  }
+
+  /*
+  getSubShape(startLength, endLength)
+
+  Returns a new shape that covers exactly the part of the shape's path contours between two
+  distances along them, for effects such as drawing a path progressively (write-on) or
+  trimming it. Lengths are measured as in getPointAtLength(), and clamped to the paths.
+
+  Curves are split exactly with de Casteljau's algorithm (see splitBezier()), rather than
+  approximated with polylines: the part of each Bézier segment is a Bézier segment of the
+  same order, the part of each spline segment is made of the cubic Bézier pieces of the
+  spline, and the part of each line segment is a line segment. Vertices have all the
+  properties of the original vertices, split in the same way as positions.
+
+  If the range covers several contours, the new shape has a contour for each one. A closed
+  contour that's covered entirely is closed again with endContour(CLOSE), except for one
+  closed by a joined spline: its last piece already returns to the start, so the copy ends
+  there instead of adding a closing line of no length. If the range is empty, so is the
+  shape.
+  */
+  getSubShape(startLength, endLength) {
+    const arcLengths = this.#arcLengths();
+    const result = this._emptyCopy();
+    const piecesBySegment = new Map();
+    const piecesOf = segment => {
+      if (!piecesBySegment.has(segment)) {
+        piecesBySegment.set(segment, segment.getBezierPieces(vertex => this.vertexToArray(vertex)));
+      }
+      return piecesBySegment.get(segment);
+    };
+
+    let contourCount = 0;
+    for (const contour of arcLengths.contours) {
+      const { contoursIndex, startLength: contourStart, length, isClosed, pieces } = contour;
+      const start = Math.max(startLength - contourStart, 0);
+      const end = Math.min(endLength - contourStart, length);
+      if (pieces.length === 0 || !(end > start)) continue;
+
+      const first = arcLengths.getLocationAtLength(start, contoursIndex);
+      const last = arcLengths.getLocationAtLength(end, contoursIndex);
+      const firstIndex = pieces.findIndex(piece =>
+        piece.segment._primitivesIndex === first.primitivesIndex &&
+        piece.pieceIndex === first.pieceIndex
+      );
+      const lastIndex = pieces.findIndex(piece =>
+        piece.segment._primitivesIndex === last.primitivesIndex &&
+        piece.pieceIndex === last.pieceIndex
+      );
+
+      if (contourCount === 0) {
+        result.beginShape();
+      } else {
+        result.beginContour();
+      }
+      contourCount++;
+      this._addVertexTo(result, this.#vertexAtLocation(first, piecesBySegment));
+
+      // a whole contour is closed again below, which adds its closing line back; one closed
+      // by a joined spline has no closing line, since its last piece returns to the start
+      const isWhole = isClosed && start === 0 && end === length;
+      const isClosedByLine = pieces.at(-1).segment.isClosing;
+      for (let i = firstIndex; i <= lastIndex; i++) {
+        const { segment, pieceIndex } = pieces[i];
+        const t0 = i === firstIndex ? first.t : 0;
+        const t1 = i === lastIndex ? last.t : 1;
+        if (!(t1 > t0) || (isWhole && segment.isClosing)) continue;
+
+        const [, ...controls] = this.#bezierBetween(piecesOf(segment)[pieceIndex], t0, t1);
+        const vertices = controls.map(array => this.arrayToVertex(array));
+        if (vertices.length === 1) {
+          this._addVertexTo(result, vertices[0]);
+        } else {
+          result.bezierOrder(vertices.length);
+          for (const vertex of vertices) {
+            this._addVertexTo(result, vertex, 'bezierVertex');
+          }
+        }
+      }
+
+      result.endContour(isWhole && isClosedByLine ? constants.CLOSE : constants.OPEN);
+    }
+    result.endShape();
+    return result;
+  }
+
+  /*
+  getDashIntervals(pattern, [offset])
+
+  Splits the shape's path contours into dashes, like the SVG attributes `stroke-dasharray`
+  and `stroke-dashoffset`. The `pattern` is an array of lengths that alternate between
+  dashes and gaps, starting with a dash; if it has an odd number of entries, it's repeated
+  to make an even number. The pattern starts over at the start of each contour, shifted
+  backward by `offset`, so increasing the offset moves the dashes forward along the paths.
+
+  Returns an array of dashes, in order, each with the `contoursIndex` of its contour in the
+  shape, and the `start` and `end` of the dash as lengths along that contour. On a closed
+  contour, a dash that runs into the seam continues past it, so its `end` may exceed the
+  contour's length (the dash then ends at `end` minus that length). If the pattern's
+  lengths are all zero, each contour is one solid dash. Dashes of zero length are left out.
+  */
+  getDashIntervals(pattern, offset = 0) {
+    if (pattern.some(length => !(length >= 0))) {
+      throw new Error('Dash patterns must contain only nonnegative lengths.');
+    }
+    const lengths = pattern.length % 2 === 1 ? [...pattern, ...pattern] : pattern;
+    const patternLength = lengths.reduce((sum, length) => sum + length, 0);
+
+    const intervals = [];
+    for (const { contoursIndex, length, isClosed, pieces } of this.#arcLengths().contours) {
+      if (pieces.length === 0) continue;
+      if (patternLength === 0) {
+        intervals.push({ contoursIndex, start: 0, end: length });
+        continue;
+      }
+
+      const dashes = [];
+      let position = -(((offset % patternLength) + patternLength) % patternLength);
+      while (position < length) {
+        for (let i = 0; i < lengths.length && position < length; i++) {
+          const start = Math.max(position, 0);
+          const end = Math.min(position + lengths[i], length);
+          if (i % 2 === 0 && end > start) {
+            dashes.push({ contoursIndex, start, end });
+          }
+          position += lengths[i];
+        }
+      }
+
+      // join the dashes on either side of the seam of a closed contour
+      const first = dashes[0];
+      const last = dashes.at(-1);
+      if (isClosed && dashes.length > 1 && first.start === 0 && last.end === length) {
+        last.end += first.end;
+        dashes.shift();
+      }
+      intervals.push(...dashes);
+    }
+    return intervals;
+  }
+
+  /*
+  dash(pattern, [offset])
+
+  Returns a new shape with one open path contour for each dash found by
+  getDashIntervals(pattern, offset). Each dash follows its original path through the
+  vertices of its line segments and the samples of its curves in the arc-length look-up
+  table, and its vertices have all the properties of the original vertices, interpolated
+  along the paths. A closed contour that's covered by a single dash stays closed.
+  Animating the offset gives "marching ants".
+  */
+  dash(pattern, offset = 0) {
+    const arcLengths = this.#arcLengths();
+    const result = this._emptyCopy();
+    const piecesBySegment = new Map();
+    const addVertexAt = location =>
+      this._addVertexTo(result, this.#vertexAtLocation(location, piecesBySegment));
+
+    this.getDashIntervals(pattern, offset).forEach(({ contoursIndex, start, end }, i) => {
+      const contour = arcLengths.contours.find(
+        contour => contour.contoursIndex === contoursIndex
+      );
+      const isWhole = contour.isClosed && end - start >= contour.length;
+      const spans = end > contour.length ?
+        [[start, contour.length], [0, end - contour.length]] :
+        [[start, end]];
+
+      if (i === 0) {
+        result.beginShape();
+      } else {
+        result.beginContour();
+      }
+      spans.forEach(([from, to], spanIndex) => {
+        // the second span starts at the seam, where the first span ended
+        if (spanIndex === 0) {
+          addVertexAt(arcLengths.getLocationAtLength(from, contoursIndex));
+        }
+        for (const piece of contour.pieces) {
+          const sampleCount = piece.lengths.length - 1;
+          for (let k = 1; k <= sampleCount; k++) {
+            const length = piece.lengths[k] - contour.startLength;
+            if (length > from && length < to) {
+              addVertexAt({
+                contoursIndex,
+                primitivesIndex: piece.segment._primitivesIndex,
+                pieceIndex: piece.pieceIndex,
+                t: k / sampleCount
+              });
+            }
+          }
+        }
+        if (!isWhole) {
+          addVertexAt(arcLengths.getLocationAtLength(to, contoursIndex));
+        }
+      });
+      result.endContour(isWhole ? constants.CLOSE : constants.OPEN);
+    });
+    result.endShape();
+    return result;
+  }
+}
+
+// ---- PRIMITIVE VISITORS ----
+
+// abstract class
+class PrimitiveVisitor {
+  constructor() {
+    if (this.constructor === PrimitiveVisitor) {
+      throw new Error('PrimitiveVisitor is an abstract class: it cannot be instantiated.');
+    }
+  }
+  // path primitives
+  visitAnchor(anchor) {
+    throw new Error('Method visitAnchor() has not been implemented.');
+  }
+  visitLineSegment(lineSegment) {
+    throw new Error('Method visitLineSegment() has not been implemented.');
+  }
+  visitBezierSegment(bezierSegment) {
+    throw new Error('Method visitBezierSegment() has not been implemented.');
+  }
+  visitSplineSegment(curveSegment) {
+    throw new Error('Method visitSplineSegment() has not been implemented.');
+  }
+
+  // tessellation primitives
+  visitTriangleStrip(triangleStrip) {
+    throw new Error('Method visitTriangleStrip() has not been implemented.');
+  }
+}
+
+class PrimitiveToVerticesConverter extends PrimitiveVisitor {
+  contours = [];
+  curveDetail;
+  cache;
+
+  // If a VersionedCache is passed, the vertices of each curved segment are kept in it and
+  // reused by later conversions until the segment changes. It should only be shared by
+  // converters with the same curveDetail.
+  constructor({ curveDetail = 1, cache = null } = {}) {
+    super();
+    this.curveDetail = curveDetail;
+    this.cache = cache;
+  }
+
+  #cached(segment, compute) {
+    return this.cache === null ? compute() : this.cache.get(segment, compute);
+  }
+
+  lastContour() {
+    return this.contours[this.contours.length - 1];
+  }
+
+  visitAnchor(anchor) {
+    this.contours.push([]);
+    // Weird edge case: if the next segment is a spline, we might
+    // need to jump to a different vertex.
+    const next = anchor._nextPrimitive;
+    if (next?.canOverrideAnchor) {
+      this.lastContour().push(next._firstInterpolatedVertex);
+    } else {
+      this.lastContour().push(anchor.getEndVertex());
+    }
+  }
+  visitLineSegment(lineSegment) {
+    this.lastContour().push(lineSegment.getEndVertex());
+  }
+  visitBezierSegment(bezierSegment) {
+    this.lastContour().push(...this.#cached(bezierSegment, () => {
+      const vertices = [];
+      const numPoints = Math.max(
+        1,
+        Math.ceil(bezierSegment.hullLength() * this.curveDetail)
+      );
+      const vertexArrays = [
+        bezierSegment.getStartVertex(),
+        ...bezierSegment.vertices
+      ].map(v => bezierSegment._shape.vertexToArray(v));
+      for (let i = 0; i < numPoints; i++) {
+        const t = (i + 1) / numPoints;
+        vertices.push(
+          bezierSegment._shape.arrayToVertex(
+            bezierSegment.order === 3
+              ? bezierSegment._shape.evaluateCubicBezier(vertexArrays, t)
+              : bezierSegment._shape.evaluateQuadraticBezier(vertexArrays, t)
+          )
+        );
+      }
+      return vertices;
+    }));
+  }
+  visitSplineSegment(splineSegment) {
+    this.lastContour().push(
+      ...this.#cached(splineSegment, () => this.#splineVertices(splineSegment))
+    );
+  }
+  #splineVertices(splineSegment) {
+    const shape = splineSegment._shape;
+    const contour = [];
+
+    const arrayVertices = splineSegment.getControlPoints().map(
+      v => shape.vertexToArray(v)
+    );
+    let bezierArrays = shape.catmullRomToBezier(
+      arrayVertices,
+      splineSegment._splineProperties.tightness
+    );
+    let startVertex = shape.vertexToArray(splineSegment._firstInterpolatedVertex);
+    for (const array of bezierArrays) {
+      const bezierControls = [startVertex, ...array];
+      const numPoints = Math.max(
+        1,
+        Math.ceil(
+          polylineLength(bezierControls.map(v => shape.arrayToVertex(v))) *
+          this.curveDetail
+        )
+      );
+      for (let i = 0; i < numPoints; i++) {
+        const t = (i + 1) / numPoints;
+        contour.push(
+          shape.arrayToVertex(shape.evaluateCubicBezier(bezierControls, t))
+        );
+      }
+      startVertex = array[2];
+    }
+    return contour;
   }
   visitTriangleStrip(triangleStrip) {
     // WebGL itself interprets the vertices as a strip, no reformatting needed
@@ -1138,23 +2318,770 @@ class PrimitiveToVerticesConverter extends PrimitiveVisitor {
   }
 }
 
+/**
+ * @private
+ * A visitor that computes a frame at every vertex sampled along a shape's
+ * path contours. By default, these are rotation minimizing frames (RMFs).
+ *
+ * Paths are sampled exactly as `PrimitiveToVerticesConverter` samples them,
+ * so the frames line up one-to-one with the vertices of each path contour.
+ * Tangents and curvatures come from the analytic derivatives of each segment,
+ * rather than from the sampled polyline, so frames stay smooth even when
+ * `curveDetail` is low. Frames are computed with the double reflection method;
+ * see the frames module.
+ * Tessellation primitives such as triangle strips don't have frames, so they're skipped.
+ *
+ * After a shape accepts the visitor, `contours` holds one entry per path contour,
+ * with the contour's frames in a `frames` array. Each entry also records the
+ * `contoursIndex` of its contour in the shape, and a `locations` array that gives the
+ * location of each frame in the same form as `PointAtLengthGetter`: the
+ * `primitivesIndex` of its primitive, the `pieceIndex` of its Bézier piece, and the
+ * parameter `t` within that piece.
+ *
+ * Contours closed with `endContour(CLOSE)`/`endShape(CLOSE)` get a holonomy correction,
+ * so the frame at the end of the loop agrees with the frame at the start. Each entry
+ * records whether its contour `isClosed`, and the `holonomyAngle` (in radians) that was
+ * corrected; open contours have a holonomy angle of `0`.
+ *
+ * In `FRENET` mode, Frenet–Serret frames are computed instead, mainly for comparison
+ * with RMFs. Each entry then records its `degenerateSpans`, where the curvature vanishes
+ * (e.g. straight line segments or inflection points), and the sample indices where the
+ * normal `flips`.
+ *
+ * In `FIXED` mode, frames keep their binormal close to an "up" `reference` direction.
+ * Each entry then records its `fallbackSpans`, where the path runs parallel to the
+ * reference and rotation minimizing frames are used instead.
+ *
+ * Unless a mode is passed to the constructor, each contour uses the mode set on its
+ * shape with `sweepMode()`.
+ *
+ * If a `VersionedCache` is passed, the samples of each segment and the frames of each
+ * contour are kept in it, and reused by later conversions until the segment or contour
+ * changes. It should only be shared by converters with the same options, and for shapes
+ * whose sweep mode stays the same.
+ *
+ * @class PrimitiveToFramesConverter
+ * @param {Object} [options]
+ * @param {number} [options.curveDetail=1] sampling density for curved segments.
+ * @param {string} [options.mode] `FREE` (RMFs), `FIXED`, or `FRENET`. Defaults to the shape's sweep mode.
+ * @param {Vector} [options.reference] the "up" direction for `FIXED` mode. Defaults to the shape's reference.
+ * @param {Frame} [options.initialFrame] frame whose normal sets the normal at the start of each path (`FREE` mode only).
+ * @param {VersionedCache} [options.cache] cache for results that can be reused.
+ */
+
+class PrimitiveToFramesConverter extends PrimitiveVisitor {
+  curveDetail;
+  mode;
+  reference;
+  initialFrame;
+  cache;
+  #samples = [];
+  #contours = null;
+
+  constructor({
+    curveDetail = 1,
+    mode = null,
+    reference = null,
+    initialFrame = null,
+    cache = null
+  } = {}) {
+    super();
+    this.curveDetail = curveDetail;
+    this.mode = mode;
+    this.reference = reference;
+    this.initialFrame = initialFrame;
+    this.cache = cache;
+  }
+
+  #cached(object, compute) {
+    return this.cache === null ? compute() : this.cache.get(object, compute);
+  }
+
+  get contours() {
+    if (this.#contours === null) {
+      this.#contours = this.#samples.map(samples =>
+        this.#cached(samples.contour, () => this.#framesContour(samples))
+      );
+    }
+    return this.#contours;
+  }
+
+  #framesContour({
+    contoursIndex,
+    locations,
+    positions,
+    tangents,
+    curvatures,
+    isClosed,
+    mode,
+    reference
+  }) {
+    // A segment whose points all coincide (such as a line that closes a contour that
+    // already ends at its start) has no tangent of its own. Its samples coincide with the
+    // end of the previous segment, so they take that tangent, or the next available one at
+    // the start of a contour. If no segment has a tangent, tangents are estimated.
+    const firstTangent = tangents.find(tangent => tangent !== null);
+    if (firstTangent === undefined) {
+      tangents = estimateTangents(positions, { isClosed });
+    } else {
+      let carried = firstTangent;
+      tangents = tangents.map(tangent => carried = tangent ?? carried);
+    }
+
+    // the tangent at the seam of a closed contour joins its two sides
+    if (isClosed && tangents.length > 1) {
+      const seamTangent = bisectTangents(tangents.at(-1), tangents[0]);
+      tangents[0] = seamTangent;
+      tangents[tangents.length - 1] = seamTangent.copy();
+    }
+
+    const common = { contoursIndex, locations, isClosed };
+    if (mode === constants.FRENET) {
+      return { ...common, ...frenetFrames(positions, tangents, { isClosed, curvatures }) };
+    }
+    if (mode === constants.FIXED) {
+      return { ...common, ...fixedFrames(positions, tangents, reference) };
+    }
+
+    const frames = rotationMinimizingFrames(positions, tangents, {
+      initialFrame: this.initialFrame
+    });
+    if (!isClosed) {
+      return { ...common, frames, holonomyAngle: 0 };
+    }
+    const angle = holonomyAngle(frames);
+    return {
+      ...common,
+      frames: correctHolonomy(frames, angle),
+      holonomyAngle: angle
+    };
+  }
+
+  // Samples each Bézier piece at the same parameters as PrimitiveToVerticesConverter,
+  // with analytic tangents and curvatures.
+  #segmentSamples(segment) {
+    return segment.getBezierPieces().map((controls, pieceIndex) => {
+      const count = controls.length === 2 ?
+        1 :
+        Math.max(1, Math.ceil(hullLength(controls) * this.curveDetail));
+      const piece = {
+        startTangent: segment._pieceTangentAt(controls, 0),
+        positions: [],
+        tangents: [],
+        curvatures: [],
+        locations: []
+      };
+
+      for (let i = 0; i < count; i++) {
+        const t = (i + 1) / count;
+        const [position] = segment._pieceDerivativesAt(controls, t);
+        piece.positions.push(position);
+        piece.tangents.push(segment._pieceTangentAt(controls, t));
+        piece.curvatures.push(segment._pieceCurvatureVectorAt(controls, t));
+        piece.locations.push({ primitivesIndex: segment._primitivesIndex, pieceIndex, t });
+      }
+      return piece;
+    });
+  }
+
+  // Where pieces meet, the tangent bisects the tangents on either side, so corners get a
+  // single tangent.
+  #sampleSegment(segment) {
+    const contour = this.#samples.at(-1);
+    const pieces = this.#cached(segment, () => this.#segmentSamples(segment));
+
+    for (const { startTangent, positions, tangents, curvatures, locations } of pieces) {
+      const lastIndex = contour.tangents.length - 1;
+      contour.tangents[lastIndex] = bisectTangents(contour.tangents[lastIndex], startTangent);
+      contour.positions.push(...positions);
+      contour.tangents.push(...tangents);
+      contour.curvatures.push(...curvatures);
+      contour.locations.push(...locations);
+    }
+    this.#contours = null;
+  }
+
+  visitAnchor(anchor) {
+    // Weird edge case (see PrimitiveToVerticesConverter): if the next segment is a spline,
+    // we might need to jump to a different vertex.
+    const next = anchor._nextPrimitive;
+    const vertex = next?.canOverrideAnchor ?
+      next._firstInterpolatedVertex :
+      anchor.getEndVertex();
+    const sweepProperties = anchor._shape._sweepProperties;
+
+    this.#samples.push({
+      contour: anchor._shape.at(anchor._contoursIndex),
+      contoursIndex: anchor._contoursIndex,
+      locations: [{ primitivesIndex: anchor._primitivesIndex, pieceIndex: 0, t: 0 }],
+      positions: [vertex.position.copy()],
+      tangents: [null],
+      curvatures: [new Vector(0, 0, 0)],
+      isClosed: false,
+      mode: this.mode ?? sweepProperties.mode,
+      reference: this.reference ?? sweepProperties.reference ?? new Vector(0, 0, 1)
+    });
+    this.#contours = null;
+  }
+  visitLineSegment(lineSegment) {
+    this.#sampleSegment(lineSegment);
+    if (lineSegment.isClosing) {
+      this.#samples.at(-1).isClosed = true;
+    }
+  }
+  visitBezierSegment(bezierSegment) {
+    this.#sampleSegment(bezierSegment);
+  }
+  visitSplineSegment(splineSegment) {
+    this.#sampleSegment(splineSegment);
+    if (splineSegment._splineProperties.ends === constants.JOIN) {
+      this.#samples.at(-1).isClosed = true;
+    }
+  }
+  visitTriangleStrip(triangleStrip) {
+    // Frames only exist along paths
+  }
+}
+
+// a circular slice for sweeps, made from four cubic Bézier quarters
+function circleSlice(centerX, centerY, radius) {
+  const k = 4 * (Math.SQRT2 - 1) / 3;
+  const point = (x, y) => new Vector(centerX + radius * x, centerY + radius * y, 0);
+  const circle = new Shape({ position: new Vector(0, 0, 0) });
+  circle.beginShape();
+  circle.vertex(point(1, 0));
+  for (const [x, y] of [[1, 0], [0, 1], [-1, 0], [0, -1]]) {
+    // a quarter circle from (x, y) to (-y, x)
+    circle.bezierVertex(point(x - k * y, y + k * x));
+    circle.bezierVertex(point(k * x - y, k * y + x));
+    circle.bezierVertex(point(-y, x));
+  }
+  circle.endShape(constants.CLOSE);
+  return circle;
+}
+
+// The default slice for sweeps: the unit circle, centered at the origin of the slice plane.
+let unitCircle = null;
+
+function defaultSlice() {
+  unitCircle ??= circleSlice(0, 0, 1);
+  return unitCircle;
+}
+
+/**
+ * @private
+ * A visitor that builds the surfaces swept out by a shape's `SWEEP` contours.
+ *
+ * A sweep contour is built from path primitives, exactly like a path contour, and they
+ * form its spine. The shape's slice (a 2D profile, set with `sweepSlice()`) is carried
+ * along the spine by the frames that `PrimitiveToFramesConverter` computes, with the
+ * origin of the slice at the spine and its x- and y-axes along each frame's normal and
+ * binormal (see `frameToMatrix()` in the frames module).
+ *
+ * The spine is sampled exactly as `PrimitiveToVerticesConverter` samples paths, and each
+ * path contour of the slice is sampled in the same way, with `sliceDetail` in place of
+ * `curveDetail`. Each vertex of the surface has the properties of the spine vertex it was
+ * swept from (such as its fill), with its own position, and with texture coordinates that
+ * follow the "soup can" convention: `u` runs from 0 to 1 along the slice contour, and `v`
+ * runs from 0 to 1 along the spine, both in proportion to distance.
+ *
+ * After a shape accepts the visitor, `contours` holds one entry per sweep contour, with
+ * the `contoursIndex` of the contour in the shape, whether its spine `isClosed`, and its
+ * surface as `strips`: one triangle strip for each edge of each slice contour, running the
+ * length of the spine. A spine without any segments doesn't sweep out a surface, so it has
+ * no strips. Contours of other kinds are skipped.
+ *
+ * @class PrimitiveToSweepConverter
+ * @param {Object} [options]
+ * @param {number} [options.curveDetail=1] sampling density for curved segments of the spine.
+ * @param {number} [options.sliceDetail=4] sampling density for curved segments of the slice.
+ */
+
+class PrimitiveToSweepConverter extends PrimitiveVisitor {
+  curveDetail;
+  sliceDetail;
+  #verticesConverter;
+  #framesConverter;
+  #spines = [];
+  #isSweeping = false;
+  #contours = null;
+
+  constructor({ curveDetail = 1, sliceDetail = 4 } = {}) {
+    super();
+    this.curveDetail = curveDetail;
+    this.sliceDetail = sliceDetail;
+    this.#verticesConverter = new PrimitiveToVerticesConverter({ curveDetail });
+    this.#framesConverter = new PrimitiveToFramesConverter({ curveDetail });
+  }
+
+  get contours() {
+    if (this.#contours === null) {
+      const sliceContours = new Map();
+      this.#contours = this.#spines.map(({ contoursIndex, slice }, i) => {
+        if (!sliceContours.has(slice)) {
+          sliceContours.set(slice, this.#sampleSlice(slice));
+        }
+        const { frames, isClosed } = this.#framesConverter.contours[i];
+        const vertices = this.#verticesConverter.contours[i];
+        return {
+          contoursIndex,
+          isClosed,
+          strips: frames.length > 1 ? this.#sweep(frames, vertices, sliceContours.get(slice)) : []
+        };
+      });
+    }
+    return this.#contours;
+  }
+
+  // the points of each contour of a slice, without repeats (such as the end of a line that
+  // closes a contour that already ends at its start)
+  #sampleSlice(slice) {
+    const converter = new PrimitiveToVerticesConverter({ curveDetail: this.sliceDetail });
+    slice.accept(converter);
+    return converter.contours
+      .map(vertices => vertices
+        .map(vertex => vertex.position)
+        .filter((position, j, positions) => j === 0 || !position.equals(positions[j - 1])))
+      .filter(positions => positions.length > 1);
+  }
+
+  #sweep(frames, spineVertices, sliceContours) {
+    const v = lengthFractions(frames.map(frame => frame.position));
+    const strips = [];
+    for (const points of sliceContours) {
+      const u = lengthFractions(points);
+      const rings = frames.map(({ position, normal, binormal }, i) =>
+        points.map((point, j) => new Vertex({
+          ...spineVertices[i],
+          position: position.copy()
+            .add(normal.copy().mult(point.x))
+            .add(binormal.copy().mult(point.y)),
+          textureCoordinates: [u[j], v[i]]
+        }))
+      );
+      for (let j = 0; j + 1 < points.length; j++) {
+        strips.push(rings.flatMap(ring => [ring[j], ring[j + 1]]));
+      }
+    }
+    return strips;
+  }
+
+  #forward(visit, primitive) {
+    if (this.#isSweeping) {
+      this.#verticesConverter[visit](primitive);
+      this.#framesConverter[visit](primitive);
+      this.#contours = null;
+    }
+  }
+
+  visitAnchor(anchor) {
+    const contoursIndex = anchor._contoursIndex;
+    this.#isSweeping = anchor._shape.at(contoursIndex).kind === constants.SWEEP;
+    if (this.#isSweeping) {
+      const { slice } = anchor._shape._sweepProperties;
+      this.#spines.push({ contoursIndex, slice: slice ?? defaultSlice() });
+    }
+    this.#forward('visitAnchor', anchor);
+  }
+  visitLineSegment(lineSegment) {
+    this.#forward('visitLineSegment', lineSegment);
+  }
+  visitBezierSegment(bezierSegment) {
+    this.#forward('visitBezierSegment', bezierSegment);
+  }
+  visitSplineSegment(splineSegment) {
+    this.#forward('visitSplineSegment', splineSegment);
+  }
+  visitTriangleStrip(triangleStrip) {
+    // Only path primitives form spines
+    this.#isSweeping = false;
+  }
+}
+
+/**
+ * @private
+ * A visitor that builds an arc-length look-up table (LUT) for a shape's path contours,
+ * so that points can be found at given distances along the paths.
+ *
+ * Every segment is treated as a sequence of Bézier pieces (see `getBezierPieces()`):
+ * a single linear piece for a line segment, a single quadratic or cubic piece for a
+ * Bézier segment, and one cubic piece per span of a spline segment. Each curved piece is
+ * sampled at `samplesPerPiece` equally spaced parameters, and the arc length up to each
+ * sample is found by integrating the speed of the piece numerically, with the `integrator`.
+ * The length of a line segment is exact.
+ *
+ * Any quadrature rule from the quadrature module may be used as the integrator:
+ * `simpson` (the default), `adaptiveSimpson`, or `gaussLegendre`, or a closure that sets
+ * their options, such as `(f, a, b) => gaussLegendre(f, a, b, 10)`. Nearly straight curves
+ * are measured accurately by any rule, while tight turns benefit from adaptive Simpson or
+ * a higher Gauss–Legendre order, at the cost of a longer build.
+ *
+ * Lengths are measured continuously across all path contours, in order, as if the path
+ * jumped from the end of each contour to the start of the next without adding length.
+ * Tessellation primitives such as triangle strips don't have a length, so they're skipped.
+ * Each entry of `contours` records the `contoursIndex` of its contour in the shape, the
+ * `startLength` and `length` of the contour, whether it `isClosed`, and its `pieces`.
+ *
+ * To find the parameter at a given length, the LUT is searched for the interval containing
+ * that length, and the parameter is then refined with Newton–Raphson iteration until the
+ * length at the parameter is within `tolerance` of the requested length. Whenever a Newton
+ * step would leave the interval (e.g. because the speed is nearly zero), a bisection step
+ * is taken instead, so the iteration always converges.
+ *
+ * A point along a path is identified by a location: an object with the `contoursIndex`
+ * and `primitivesIndex` of its segment in the shape, the `pieceIndex` of its Bézier piece
+ * within the segment, the parameter `t` within that piece, and its `length` along the
+ * paths. (For line and Bézier segments, which have a single piece, `t` is also the
+ * segment's own parameter.) Locations found from a length also record the `error` that was
+ * achieved (the distance along the path between the requested length and the length at
+ * `t`, as measured by the quadrature rule), and the number of `iterations` it took.
+ *
+ * If a `VersionedCache` is passed, the table of each segment is kept in it (with lengths
+ * measured from the start of the segment), and reused by later look-up tables until the
+ * segment changes. It should only be shared by getters with the same `samplesPerPiece` and
+ * `integrator`.
+ *
+ * @class PointAtLengthGetter
+ * @param {Object} [options]
+ * @param {number} [options.samplesPerPiece=32] number of LUT intervals for each curved piece.
+ * @param {function} [options.integrator=simpson] quadrature rule `(f, a, b) => number`.
+ * @param {number} [options.tolerance=TOLERANCE] largest acceptable error in lengths.
+ * @param {number} [options.maxIterations=50] limit on refinement steps for each length.
+ * @param {VersionedCache} [options.cache] cache for the tables of segments.
+ */
+
 class PointAtLengthGetter extends PrimitiveVisitor {
-  constructor() {
+  samplesPerPiece;
+  integrator;
+  tolerance;
+  maxIterations;
+  cache;
+  totalLength = 0;
+  contours = [];
+  pieces = [];
+
+  constructor({
+    samplesPerPiece = 32,
+    integrator = simpson,
+    tolerance = constants.TOLERANCE,
+    maxIterations = 50,
+    cache = null
+  } = {}) {
     super();
+    this.samplesPerPiece = samplesPerPiece;
+    this.integrator = integrator;
+    this.tolerance = tolerance;
+    this.maxIterations = maxIterations;
+    this.cache = cache;
+  }
+
+  // the table of each piece of a segment, with lengths measured from the segment's start
+  #segmentTables(segment) {
+    let segmentLength = 0;
+    return segment.getBezierPieces().map(controls => {
+      const speed = t => segment._pieceDerivativesAt(controls, t)[1].mag();
+      const sampleCount = controls.length === 2 ? 1 : this.samplesPerPiece;
+      const lengths = [segmentLength];
+      const positions = [new Vector(...controls[0])];
+
+      for (let k = 1; k <= sampleCount; k++) {
+        const length = controls.length === 2 ?
+          new Vector(...controls[0]).dist(new Vector(...controls[1])) :
+          this.integrator(speed, (k - 1) / sampleCount, k / sampleCount);
+        lengths.push(lengths[k - 1] + length);
+        positions.push(segment._pieceDerivativesAt(controls, k / sampleCount)[0]);
+      }
+      segmentLength = lengths.at(-1);
+      return { controls, lengths, positions };
+    });
+  }
+
+  #addSegment(segment) {
+    const contour = this.contours.at(-1);
+    const tables = this.cache === null ?
+      this.#segmentTables(segment) :
+      this.cache.get(segment, () => this.#segmentTables(segment));
+    const segmentStart = this.totalLength;
+
+    tables.forEach(({ controls, lengths, positions }, pieceIndex) => {
+      const piece = {
+        segment,
+        pieceIndex,
+        controls,
+        startLength: this.totalLength,
+        lengths: lengths.map(length => segmentStart + length),
+        positions
+      };
+      this.pieces.push(piece);
+      contour.pieces.push(piece);
+      this.totalLength = piece.lengths.at(-1);
+    });
+
+    contour.length = this.totalLength - contour.startLength;
+  }
+
+  // Newton–Raphson refinement of t within LUT interval `index` of a piece, safeguarded
+  // by bisection, so that the length at t matches the target length
+  #refine(piece, index, targetLength, t) {
+    const sampleCount = piece.lengths.length - 1;
+    const intervalStart = index / sampleCount;
+    let lower = intervalStart;
+    let upper = (index + 1) / sampleCount;
+
+    const speed = t => piece.segment._pieceDerivativesAt(piece.controls, t)[1].mag();
+    const lengthAt = t => piece.lengths[index] + this.integrator(speed, intervalStart, t);
+
+    let residual = lengthAt(t) - targetLength;
+    let iterations = 0;
+    while (Math.abs(residual) > this.tolerance && iterations < this.maxIterations) {
+      // keep the solution bracketed
+      if (residual > 0) {
+        upper = t;
+      } else {
+        lower = t;
+      }
+
+      let next = t - residual / speed(t);
+      if (!(next > lower && next < upper)) {
+        next = (lower + upper) / 2;
+      }
+      t = next;
+      residual = lengthAt(t) - targetLength;
+      iterations++;
+    }
+    return { t, error: Math.abs(residual), iterations };
+  }
+
+  // length along the paths at parameter t of a piece
+  #lengthAt(piece, t) {
+    const sampleCount = piece.lengths.length - 1;
+    const index = Math.min(Math.floor(t * sampleCount), sampleCount - 1);
+    const speed = t => piece.segment._pieceDerivativesAt(piece.controls, t)[1].mag();
+    return piece.lengths[index] + this.integrator(speed, index / sampleCount, t);
+  }
+
+  // Newton's method for a local minimum of the squared distance from a point to a piece,
+  // within [lower, upper]. Where the distance isn't locally convex, the step goes downhill
+  // instead, and steps are halved until they get closer to the point.
+  #closestParameter(piece, point, t, lower, upper) {
+    const offsetAt = t => {
+      const [position, first, second] = piece.segment._pieceDerivativesAt(piece.controls, t);
+      return { offset: position.sub(point), first, second };
+    };
+    let current = offsetAt(t);
+    let distanceSquared = current.offset.dot(current.offset);
+
+    for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+      const { offset, first, second } = current;
+      // first and second derivatives of half the squared distance
+      const slope = offset.dot(first);
+      const concavity = first.dot(first) + offset.dot(second);
+      let step = concavity > 0 ?
+        -slope / concavity :
+        -Math.sign(slope) * (upper - lower) / 2;
+
+      let next = t;
+      let candidate = current;
+      let candidateSquared = distanceSquared;
+      while (Math.abs(step) > Number.EPSILON) {
+        next = Math.min(Math.max(t + step, lower), upper);
+        candidate = offsetAt(next);
+        candidateSquared = candidate.offset.dot(candidate.offset);
+        if (candidateSquared < distanceSquared) break;
+        step /= 2;
+      }
+      if (!(candidateSquared < distanceSquared)) {
+        break;
+      }
+      t = next;
+      current = candidate;
+      distanceSquared = candidateSquared;
+    }
+    return t;
+  }
+
+  // last of the given pieces that starts at or before the given length
+  #pieceAtLength(length, pieces = this.pieces) {
+    let low = 0;
+    let high = pieces.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (pieces[middle].startLength <= length) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return pieces[low];
   }
 
-  /* TODO:
-  State: 
-   1. Total length.
-   2. Lookup Table (LUT).
+  /*
+  getLocationAtLength(length, [contoursIndex])
 
-  Methods:
-   1. visitAnchor: Start a new segment (length = 0).
-   2. visitLineSegment: Implement as you'd expect.
-   3. visitBezierSegment: Inject numerical integration method (Simpson's Rule for now), populate the LUT, ...
-   3. visitSplineSegment: Reuse Bezier functionality.
+  Returns the location (see above) at the given length along the paths. Lengths outside
+  [0, totalLength] are clamped. Returns null if the shape has no path segments.
+
+  If the index of a path contour in the shape is given, the length is measured from the
+  start of that contour instead, and clamped to the contour, so that its end isn't
+  confused with the start of the next contour. The location's `length` is still measured
+  along all the paths. Returns null if the contour has no segments.
   */
+  getLocationAtLength(length, contoursIndex) {
+    let pieces = this.pieces;
+    let startLength = 0;
+    let endLength = this.totalLength;
+    if (contoursIndex !== undefined) {
+      const contour = this.contours.find(contour => contour.contoursIndex === contoursIndex);
+      pieces = contour?.pieces ?? [];
+      startLength = contour?.startLength;
+      endLength = startLength + contour?.length;
+      length += startLength;
+    }
+
+    if (pieces.length === 0) {
+      return null;
+    }
+    const clampedLength = Math.min(Math.max(length, startLength), endLength);
+    const piece = this.#pieceAtLength(clampedLength, pieces);
+    const { lengths } = piece;
+
+    // last LUT sample at or before the length
+    let low = 0;
+    let high = lengths.length - 2;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lengths[middle] <= clampedLength) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    const intervalLength = lengths[low + 1] - lengths[low];
+    const fraction = intervalLength > 0 ?
+      Math.min((clampedLength - lengths[low]) / intervalLength, 1) :
+      0;
+    const sampleCount = lengths.length - 1;
+
+    // lengths along line segments are exact, so there's nothing to refine
+    const estimate = { t: (low + fraction) / sampleCount, error: 0, iterations: 0 };
+    const { t, error, iterations } = piece.controls.length === 2 ?
+      estimate :
+      this.#refine(piece, low, clampedLength, estimate.t);
+
+    return {
+      contoursIndex: piece.segment._contoursIndex,
+      primitivesIndex: piece.segment._primitivesIndex,
+      pieceIndex: piece.pieceIndex,
+      t,
+      length: clampedLength,
+      error,
+      iterations
+    };
+  }
+
+  /*
+  getLocationAtPoint(point)
+
+  Returns the location (see above) on the paths that is closest to the given point, in
+  any contour. Along with the usual properties, the location has the closest `position`
+  and its Euclidean `distance` from the point. If several locations are equally close,
+  the first along the paths is returned. Returns null if the shape has no path segments.
+
+  Each piece is searched at its LUT samples, and the closest sample is then refined with
+  Newton's method on the squared distance, between the neighboring samples.
+  */
+  getLocationAtPoint(point) {
+    let closest = null;
+    for (const piece of this.pieces) {
+      const { positions } = piece;
+      const sampleCount = positions.length - 1;
+      let index = 0;
+      for (let k = 1; k <= sampleCount; k++) {
+        if (positions[k].dist(point) < positions[index].dist(point)) {
+          index = k;
+        }
+      }
+
+      const t = this.#closestParameter(
+        piece,
+        point,
+        index / sampleCount,
+        Math.max(index - 1, 0) / sampleCount,
+        Math.min(index + 1, sampleCount) / sampleCount
+      );
+      const [position] = piece.segment._pieceDerivativesAt(piece.controls, t);
+      const distance = position.dist(point);
+      if (closest === null || distance < closest.distance) {
+        closest = { piece, t, position, distance };
+      }
+    }
 
+    if (closest === null) {
+      return null;
+    }
+    const { piece, t, position, distance } = closest;
+    return {
+      contoursIndex: piece.segment._contoursIndex,
+      primitivesIndex: piece.segment._primitivesIndex,
+      pieceIndex: piece.pieceIndex,
+      t,
+      length: this.#lengthAt(piece, t),
+      position,
+      distance
+    };
+  }
+
+  /*
+  getPointAtLength(length)
+
+  Returns the position at the given length along the paths, as a vector. Lengths outside
+  [0, totalLength] are clamped. If the shape's paths consist only of anchors, the first
+  anchor's position is returned. Returns null if the shape has no paths.
+  */
+  getPointAtLength(length) {
+    if (this.pieces.length === 0) {
+      return this.contours[0]?.start.copy() ?? null;
+    }
+    const location = this.getLocationAtLength(length);
+    const piece = this.#pieceAtLength(location.length);
+    const [position] = piece.segment._pieceDerivativesAt(piece.controls, location.t);
+    return position;
+  }
+
+  visitAnchor(anchor) {
+    // Weird edge case (see PrimitiveToVerticesConverter)
+    const next = anchor._nextPrimitive;
+    const vertex = next?.canOverrideAnchor ?
+      next._firstInterpolatedVertex :
+      anchor.getEndVertex();
+    this.contours.push({
+      contoursIndex: anchor._contoursIndex,
+      start: vertex.position,
+      startLength: this.totalLength,
+      length: 0,
+      isClosed: false,
+      pieces: []
+    });
+  }
+  visitLineSegment(lineSegment) {
+    this.#addSegment(lineSegment);
+    if (lineSegment.isClosing) {
+      this.contours.at(-1).isClosed = true;
+    }
+  }
+  visitBezierSegment(bezierSegment) {
+    this.#addSegment(bezierSegment);
+  }
+  visitSplineSegment(splineSegment) {
+    this.#addSegment(splineSegment);
+    if (splineSegment._splineProperties.ends === constants.JOIN) {
+      this.contours.at(-1).isClosed = true;
+    }
+  }
+  visitTriangleStrip(triangleStrip) {
+    // Lengths only exist along paths
+  }
 }
 
 export {
@@ -1170,5 +3097,8 @@ export {
   TriangleStrip,
   PrimitiveVisitor,
   PrimitiveToVerticesConverter,
-  PointAtLengthGetter
+  PrimitiveToFramesConverter,
+  PrimitiveToSweepConverter,
+  PointAtLengthGetter,
+  VersionedCache
 };
\ No newline at end of file
@@ -0,0 +1,144 @@
+import { describe, expect, test } from 'vitest';
+import { Vector } from '../src/Vector.js';
+import * as constants from '../src/constants.js';
+import { Rail } from '../src/Rail.js';
+import { CameraRig } from '../src/CameraRig.js';
+import { vec3 } from '../libs/gl-matrix.js';
+import { createShape } from './helpers/shapes.js';
+
+// a line of length 100 along the x-axis, then a line of length 100 along the y-axis
+function corner() {
+  const shape = createShape();
+  shape.beginShape();
+  shape.vertex(new Vector(0, 0, 0));
+  shape.vertex(new Vector(100, 0, 0));
+  shape.vertex(new Vector(100, 100, 0));
+  shape.endShape();
+  return shape;
+}
+
+// a helix around the z-axis, approximated by a spline
+function helix() {
+  const shape = createShape();
+  shape.beginShape();
+  for (let i = 0; i <= 48; i++) {
+    const angle = i * Math.PI / 8;
+    shape.splineVertex(new Vector(50 * Math.cos(angle), 50 * Math.sin(angle), 5 * i));
+  }
+  shape.endShape();
+  return shape;
+}
+
+// a point transformed into view space
+function toView(matrix, point) {
+  return vec3.transformMat4(vec3.create(), point.array(), matrix);
+}
+
+describe('CameraRig', () => {
+  test('looks along the path, with the binormal up', () => {
+    const rig = new CameraRig(new Rail(corner()));
+    const view = rig.viewAt(20);
+    expect(view.eye.array()).toEqual([20, 0, 0]);
+    expect(view.up.approximatelyEquals(view.frame.binormal)).toBe(true);
+
+    // in view space, points ahead are down the negative z-axis, and up is the y-axis
+    const ahead = toView(view.matrix, new Vector(50, 0, 0));
+    expect(ahead[0]).toBeCloseTo(0, 9);
+    expect(ahead[1]).toBeCloseTo(0, 9);
+    expect(ahead[2]).toBeCloseTo(-30, 9);
+    const above = toView(view.matrix, view.eye.copy().add(view.frame.binormal));
+    expect(above[1]).toBeCloseTo(1, 9);
+  })
+
+  test('looks backward when the rail travels backward', () => {
+    const rig = new CameraRig(new Rail(corner(), { direction: -1 }));
+    const view = rig.viewAt(20);
+    expect(view.target.approximatelyEquals(new Vector(19, 0, 0))).toBe(true);
+  })
+
+  test('looks ahead to a point further along the path', () => {
+    const rig = new CameraRig(new Rail(corner()), { lookAhead: 50 });
+    const view = rig.viewAt(80);
+    const direction = view.target.copy().sub(view.eye);
+    const expected = new Vector(20, 30, 0).normalize();
+    expect(direction.approximatelyEquals(expected)).toBe(true);
+
+    // at the end, there's nothing ahead, so it looks along the tangent
+    const end = rig.viewAt(200);
+    expect(end.target.copy().sub(end.eye).approximatelyEquals(new Vector(0, 1, 0))).toBe(true);
+  })
+
+  test('rolls the up direction about the look direction', () => {
+    const rig = new CameraRig(new Rail(corner()), { roll: Math.PI / 2 });
+    const view = rig.viewAt(20);
+    expect(view.up.approximatelyEquals(view.frame.normal.copy().mult(-1))).toBe(true);
+  })
+
+  test('smooths the look direction over time, independently of the frame rate', () => {
+    const rail = new Rail(corner());
+    const oneStep = new CameraRig(rail, { smoothing: 1 });
+    oneStep.viewAt(50);
+    const coarse = oneStep.viewAt(150, 1);
+
+    const manySteps = new CameraRig(rail, { smoothing: 1 });
+    manySteps.viewAt(50);
+    let fine;
+    for (let i = 0; i < 10; i++) {
+      fine = manySteps.viewAt(150, 0.1);
+    }
+
+    const coarseDirection = coarse.target.copy().sub(coarse.eye);
+    const fineDirection = fine.target.copy().sub(fine.eye);
+    expect(coarseDirection.x).toBeGreaterThan(0.1);
+    expect(coarseDirection.y).toBeGreaterThan(0.1);
+    expect(coarseDirection.approximatelyEquals(fineDirection, 1e-9)).toBe(true);
+
+    manySteps.reset();
+    const reset = manySteps.viewAt(150, 0.1);
+    expect(reset.target.copy().sub(reset.eye).approximatelyEquals(new Vector(0, 1, 0))).toBe(true);
+  })
+
+  test('banks smoothly along a helix without flipping', () => {
+    const rig = new CameraRig(new Rail(helix(), { speed: 5 }), { lookAhead: 20, smoothing: 0.2 });
+    let previous = rig.update(0);
+    for (let i = 0; i < 200; i++) {
+      const view = rig.update(1);
+      expect(view.up.dot(previous.up)).toBeGreaterThan(0.95);
+      expect(view.up.dot(view.target.copy().sub(view.eye))).toBeCloseTo(0, 9);
+      previous = view;
+    }
+  })
+
+  test('advances its rail on update', () => {
+    const rail = new Rail(corner(), { speed: 10 });
+    const rig = new CameraRig(rail);
+    const view = rig.update(3);
+    expect(rail.length).toBe(30);
+    expect(view.eye.array()).toEqual([30, 0, 0]);
+  })
+
+  test('returns null for contours without segments', () => {
+    const shape = createShape();
+    shape.beginShape();
+    shape.vertex(new Vector(0, 0, 0));
+    shape.endShape();
+    expect(new CameraRig(new Rail(shape)).viewAt(0)).toBe(null);
+  })
+
+  test('looks ahead without wrapping lengths on a closed contour of no length', () => {
+    const shape = createShape();
+    shape.beginShape();
+    shape.vertex(new Vector(0, 0, 0));
+    shape.endShape(constants.CLOSE);
+    const lengths = [];
+    const getFrameAtLength = shape.getFrameAtLength.bind(shape);
+    shape.getFrameAtLength = (length, contoursIndex) => {
+      lengths.push(length);
+      return getFrameAtLength(length, contoursIndex);
+    };
+
+    const view = new CameraRig(new Rail(shape), { lookAhead: 10 }).viewAt(0);
+    expect(lengths.every(Number.isFinite)).toBe(true);
+    expect(Array.from(view.matrix).every(Number.isFinite)).toBe(true);
+  })
+});
@@ -0,0 +1,128 @@
+import { describe, expect, test } from 'vitest';
+import { Vector } from '../src/Vector.js';
+import { Color } from '../src/Color.js';
+import * as constants from '../src/constants.js';
+import { Shape, PrimitiveToVerticesConverter } from '../src/shapes.js';
+import { Morph } from '../src/Morph.js';
+import { createShape, square, circle } from './helpers/shapes.js';
+
+function verticesOf(shape) {
+  const converter = new PrimitiveToVerticesConverter();
+  shape.accept(converter);
+  return converter.contours;
+}
+
+describe('Morph', () => {
+  test('starts on the first shape and ends on the second, despite different primitives', () => {
+    const morph = new Morph(square(10), circle(5, 5, 5), { samples: 32 });
+    const [start] = verticesOf(morph.shapeAt(0));
+    const [end] = verticesOf(morph.shapeAt(1));
+    expect(start).toHaveLength(33);
+    expect(end).toHaveLength(33);
+
+    for (const { position } of start) {
+      const { x, y } = position;
+      const onSide = [x, y].some(c => Math.abs(c) < 1e-6 || Math.abs(c - 10) < 1e-6);
+      expect(onSide).toBe(true);
+    }
+    for (const { position } of end) {
+      expect(position.dist(new Vector(5, 5, 0))).toBeCloseTo(5, 2);
+    }
+  })
+
+  test('blends corresponding points linearly', () => {
+    const morph = new Morph(square(10), circle(5, 5, 5), { samples: 16 });
+    const [start] = verticesOf(morph.shapeAt(0));
+    const [end] = verticesOf(morph.shapeAt(1));
+    const [middle] = verticesOf(morph.shapeAt(0.25));
+    middle.forEach((vertex, k) => {
+      const expected = start[k].position.copy().mult(0.75).add(end[k].position.copy().mult(0.25));
+      expect(vertex.position.approximatelyEquals(expected, 1e-12)).toBe(true);
+    });
+  })
+
+  test('rotates the start of closed contours to minimize travel', () => {
+    const rotated = new Morph(square(10), square(10, 2), { samples: 16 });
+    for (const vertex of verticesOf(rotated.shapeAt(0.5))[0]) {
+      const { x, y } = vertex.position;
+      expect(Math.min(Math.abs(x), Math.abs(x - 10), Math.abs(y), Math.abs(y - 10))).toBeCloseTo(0, 6);
+    }
+
+    const unrotated = new Morph(square(10), square(10, 2), { samples: 16, rotateStart: false });
+    const [first] = verticesOf(unrotated.shapeAt(0.5))[0];
+    expect(first.position.approximatelyEquals(new Vector(5, 5, 0), 1e-6)).toBe(true);
+  })
+
+  test('grows extra contours from their centroids', () => {
+    const twoSquares = square(10);
+    twoSquares.beginContour();
+    twoSquares.vertex(new Vector(20, 0, 0));
+    twoSquares.vertex(new Vector(24, 0, 0));
+    twoSquares.vertex(new Vector(24, 4, 0));
+    twoSquares.vertex(new Vector(20, 4, 0));
+    twoSquares.endContour(constants.CLOSE);
+
+    const morph = new Morph(square(10), twoSquares, { samples: 8 });
+    const contours = verticesOf(morph.shapeAt(0));
+    expect(contours).toHaveLength(2);
+    for (const vertex of contours[1]) {
+      expect(vertex.position.approximatelyEquals(new Vector(22, 2, 0), 1e-9)).toBe(true);
+    }
+    expect(verticesOf(morph.shapeAt(1))[1][0].position.array()).toEqual([20, 0, 0]);
+  })
+
+  test('morphs open paths end to end', () => {
+    const from = createShape();
+    from.beginShape();
+    from.vertex(new Vector(0, 0, 0));
+    from.vertex(new Vector(10, 0, 0));
+    from.endShape();
+    const to = createShape();
+    to.beginShape();
+    to.vertex(new Vector(0, 10, 0));
+    to.bezierVertex(new Vector(5, 20, 0));
+    to.bezierVertex(new Vector(10, 20, 0));
+    to.bezierVertex(new Vector(10, 10, 0));
+    to.endShape();
+
+    const [vertices] = verticesOf(new Morph(from, to, { samples: 5 }).shapeAt(0.5));
+    expect(vertices).toHaveLength(5);
+    expect(vertices[0].position.array()).toEqual([0, 5, 0]);
+    expect(vertices[4].position.approximatelyEquals(new Vector(10, 5, 0), 1e-12)).toBe(true);
+  })
+
+  test('morphs the spines of sweeps', () => {
+    const spine = y => {
+      const shape = createShape();
+      shape.beginShape(constants.SWEEP);
+      shape.vertex(new Vector(0, y, 0));
+      shape.vertex(new Vector(10, y, 0));
+      shape.endShape();
+      return shape;
+    };
+
+    const [vertices] = verticesOf(new Morph(spine(0), spine(10), { samples: 3 }).shapeAt(0.5));
+    expect(vertices.map(vertex => vertex.position.array())).toEqual([[0, 5, 0], [5, 5, 0], [10, 5, 0]]);
+  })
+
+  test('blends other vertex properties', () => {
+    const shapeWithFill = (fill, side) => {
+      const shape = new Shape({ position: new Vector(0, 0, 0), fill: new Color([0, 0, 0, 255]) });
+      shape.beginShape();
+      shape.fill(fill);
+      shape.vertex(new Vector(0, 0, 0));
+      shape.vertex(new Vector(side, 0, 0));
+      shape.endShape();
+      return shape;
+    };
+    const morph = new Morph(
+      shapeWithFill(new Color([255, 0, 0, 255]), 10),
+      shapeWithFill(new Color([0, 0, 255, 255]), 20),
+      { samples: 3 }
+    );
+    const [vertices] = verticesOf(morph.shapeAt(0.5));
+    expect(vertices[1].fill).toBeInstanceOf(Color);
+    expect(vertices[1].fill.array()).toEqual([127.5, 0, 127.5, 255]);
+    expect(vertices[1].position.array()).toEqual([7.5, 0, 0]);
+  })
+});
@@ -0,0 +1,108 @@
+import { describe, expect, test } from 'vitest';
+import { Vector } from '../src/Vector.js';
+import * as constants from '../src/constants.js';
+import { Rail } from '../src/Rail.js';
+import { line, square, circle } from './helpers/shapes.js';
+
+describe('Rail', () => {
+  test('advances by speed times elapsed time, and returns the frame', () => {
+    const rail = new Rail(line(100), { speed: 20 });
+    const frame = rail.update(0.5);
+    expect(rail.length).toBe(10);
+    expect(frame.position.array()).toEqual([10, 0, 0]);
+    expect(frame.tangent.approximatelyEquals(new Vector(1, 0, 0))).toBe(true);
+    expect(rail.progress).toBe(0.1);
+  })
+
+  test('clamps at the ends of open contours by default', () => {
+    const rail = new Rail(line(100), { speed: 30, length: 80 });
+    expect(rail.ends).toBe(constants.CLAMP);
+    rail.update(1);
+    expect(rail.length).toBe(100);
+    expect(rail.isAtEnd).toBe(true);
+
+    rail.reverse();
+    expect(rail.isAtEnd).toBe(false);
+    rail.update(4);
+    expect(rail.length).toBe(0);
+    expect(rail.isAtEnd).toBe(true);
+  })
+
+  test('wraps around closed contours seamlessly by default', () => {
+    const shape = square(25);
+    const rail = new Rail(shape, { speed: 10, length: 95 });
+    expect(rail.ends).toBe(constants.LOOP);
+    const frame = rail.update(1);
+    expect(rail.length).toBe(5);
+    expect(frame.position.approximatelyEquals(new Vector(5, 0, 0))).toBe(true);
+
+    rail.direction = -1;
+    rail.update(1);
+    expect(rail.length).toBe(95);
+  })
+
+  test('has matching frames on either side of the seam of a smooth loop', () => {
+    const shape = circle(50);
+    const rail = new Rail(shape, { speed: 1, length: shape.getTotalLength() - 0.5 });
+    const before = rail.frame;
+    const after = rail.update(1);
+    expect(rail.length).toBeCloseTo(0.5, 9);
+    expect(before.position.dist(after.position)).toBeCloseTo(1, 3);
+    expect(before.normal.dist(after.normal)).toBeLessThan(0.03);
+    expect(before.binormal.approximatelyEquals(after.binormal)).toBe(true);
+  })
+
+  test('loops back to the start of open contours', () => {
+    const rail = new Rail(line(100), { speed: 30, length: 80, ends: constants.LOOP });
+    rail.update(1);
+    expect(rail.length).toBe(10);
+  })
+
+  test('turns around at the ends in ping-pong mode', () => {
+    const rail = new Rail(line(100), { speed: 30, length: 80, ends: constants.PING_PONG });
+    rail.update(1);
+    expect(rail.length).toBe(90);
+    expect(rail.direction).toBe(-1);
+    rail.update(3);
+    expect(rail.length).toBe(0);
+    expect(rail.direction).toBe(-1);
+    rail.update(1);
+    expect(rail.length).toBe(30);
+    expect(rail.direction).toBe(1);
+
+    // several turns in one update
+    rail.update(8);
+    expect(rail.length).toBe(70);
+    expect(rail.direction).toBe(1);
+  })
+
+  test('only moves while playing', () => {
+    const rail = new Rail(line(100), { speed: 10, playing: false });
+    expect(rail.isPlaying).toBe(false);
+    rail.update(1);
+    expect(rail.length).toBe(0);
+    rail.play();
+    rail.update(1);
+    expect(rail.length).toBe(10);
+    rail.pause();
+    expect(rail.update(1).position.array()).toEqual([10, 0, 0]);
+  })
+
+  test('follows a single contour and keeps up with edits to the shape', () => {
+    const shape = line(100);
+    shape.beginContour();
+    shape.vertex(new Vector(0, 10, 0));
+    shape.vertex(new Vector(0, 60, 0));
+    shape.endContour();
+    const rail = new Rail(shape, { contoursIndex: 1, speed: 10 });
+    expect(rail.update(2).position.array()).toEqual([0, 30, 0]);
+
+    shape.setVertex(1, 1, 0, { position: new Vector(0, 20, 0) });
+    expect(rail.length).toBe(10);
+    expect(rail.frame.position.array()).toEqual([0, 20, 0]);
+  })
+
+  test('rejects unknown end behaviors', () => {
+    expect(() => new Rail(line(100), { ends: 'bounce' })).toThrow();
+  })
+});
@@ -0,0 +1,93 @@
+import { describe, expect, test } from 'vitest';
+import { Vector } from '../src/Vector.js';
+import * as constants from '../src/constants.js';
+import { Rail } from '../src/Rail.js';
+import { Train } from '../src/Train.js';
+import { createShape, circle } from './helpers/shapes.js';
+
+// a hairpin: a cubic Bézier that turns back on itself within a small radius
+function hairpin() {
+  const shape = createShape();
+  shape.beginShape();
+  shape.vertex(new Vector(0, 0, 0));
+  shape.bezierVertex(new Vector(100, 0, 0));
+  shape.bezierVertex(new Vector(100, 10, 0));
+  shape.bezierVertex(new Vector(0, 10, 0));
+  shape.endShape();
+  return shape;
+}
+
+describe('Train', () => {
+  test('keeps followers evenly spaced by arc length through a tight curve', () => {
+    const shape = hairpin();
+    const rail = new Rail(shape, { length: 140 });
+    const followers = new Train(rail, { count: 6, spacing: 20 }).followers;
+
+    expect(followers.map(follower => follower.length)).toEqual([140, 120, 100, 80, 60, 40]);
+    for (const { length, frame, isOnPath } of followers) {
+      expect(isOnPath).toBe(true);
+      expect(shape.getLengthAtPoint(frame.position)).toBeCloseTo(length, 2);
+      expect(frame.tangent.dot(frame.normal)).toBeCloseTo(0, 9);
+    }
+    // the chord between neighbors is never longer than the arc between them
+    for (let i = 1; i < followers.length; i++) {
+      const chord = followers[i].frame.position.dist(followers[i - 1].frame.position);
+      expect(chord).toBeLessThanOrEqual(20 + 1e-6);
+    }
+  })
+
+  test('gives each follower its own frame', () => {
+    const shape = hairpin();
+    const followers = new Train(new Rail(shape, { length: 100 }), { offsets: [0, 35] }).followers;
+    for (const { length, frame } of followers) {
+      const expected = shape.getFrameAtLength(length);
+      expect(frame.position.approximatelyEquals(expected.position)).toBe(true);
+      expect(frame.normal.approximatelyEquals(expected.normal)).toBe(true);
+    }
+    expect(followers[0].frame.tangent.dot(followers[1].frame.tangent)).toBeLessThan(0.5);
+  })
+
+  test('runs across the seam of a closed contour', () => {
+    const shape = circle(50);
+    const pathLength = shape.getTotalLength();
+    const rail = new Rail(shape, { length: 10 });
+    const train = new Train(rail, { count: 3, spacing: 15 });
+
+    const [first, second, third] = train.followers;
+    expect(first.length).toBeCloseTo(10, 9);
+    expect(second.length).toBeCloseTo(pathLength - 5, 9);
+    expect(third.length).toBeCloseTo(pathLength - 20, 9);
+    expect(second.isOnPath).toBe(true);
+    expect(first.frame.position.dist(second.frame.position)).toBeCloseTo(
+      2 * 50 * Math.sin(15 / 50 / 2),
+      2
+    );
+  })
+
+  test('holds followers at the ends of an open contour', () => {
+    const shape = hairpin();
+    const train = new Train(new Rail(shape, { length: 10 }), { offsets: [-20, 0, 20] });
+    const [ahead, lead, behind] = train.followers;
+    expect(ahead.length).toBe(30);
+    expect(lead.isOnPath).toBe(true);
+    expect(behind.length).toBe(0);
+    expect(behind.isOnPath).toBe(false);
+    expect(behind.frame.position.array()).toEqual([0, 0, 0]);
+  })
+
+  test('advances its rail on update, keeping its order when the rail turns around', () => {
+    const shape = hairpin();
+    const rail = new Rail(shape, { speed: 10, length: 50, ends: constants.PING_PONG });
+    const train = new Train(rail, { count: 2, spacing: 20 });
+    const pathLength = shape.getTotalLength();
+
+    let followers = train.update(2);
+    expect(followers.map(follower => follower.length)).toEqual([70, 50]);
+
+    rail.length = pathLength - 5;
+    followers = train.update(1);
+    expect(rail.direction).toBe(-1);
+    expect(followers[0].length).toBeCloseTo(pathLength - 5, 9);
+    expect(followers[1].length).toBeCloseTo(pathLength - 25, 9);
+  })
+});
@@ -50,6 +50,74 @@ describe('Vector', () => {
       expect(vector.array()[2]).toBe(1);
     })
   });
+  describe('copy()', () => {
+    test('mutating a copy does not mutate the original vector', () => {
+      const vector = new Vector(2, 3, 5);
+      const copy = vector.copy();
+      copy.x = 1;
+      expect(vector.array()).toEqual([2, 3, 5]);
+      expect(copy.array()).toEqual([1, 3, 5]);
+    })
+  });
+  describe('add(vector), sub(vector), mult(scalar)', () => {
+    test('<2, 3, 5>.add(<1, 1, 1>) is <3, 4, 6> and mutates the vector', () => {
+      const vector = new Vector(2, 3, 5);
+      const result = vector.add(new Vector(1, 1, 1));
+      expect(vector.array()).toEqual([3, 4, 6]);
+      expect(result).toBe(vector);
+    })
+
+    test('<2, 3, 5>.sub(<1, 1, 1>) is <1, 2, 4> and mutates the vector', () => {
+      const vector = new Vector(2, 3, 5);
+      const result = vector.sub(new Vector(1, 1, 1));
+      expect(vector.array()).toEqual([1, 2, 4]);
+      expect(result).toBe(vector);
+    })
+
+    test('<2, 3, 5>.mult(2) is <4, 6, 10> and mutates the vector', () => {
+      const vector = new Vector(2, 3, 5);
+      const result = vector.mult(2);
+      expect(vector.array()).toEqual([4, 6, 10]);
+      expect(result).toBe(vector);
+    })
+  });
+  describe('dot(vector), cross(vector)', () => {
+    test('<2, 3, 5> dot <1, 2, 3> is 23', () => {
+      const v1 = new Vector(2, 3, 5);
+      const v2 = new Vector(1, 2, 3);
+      expect(v1.dot(v2)).toBe(23);
+    })
+
+    test('<1, 0, 0> cross <0, 1, 0> is <0, 0, 1>', () => {
+      const v1 = new Vector(1, 0, 0);
+      const v2 = new Vector(0, 1, 0);
+      expect(v1.cross(v2).array()).toEqual([0, 0, 1]);
+    })
+
+    test('cross(vector) does not mutate either vector', () => {
+      const v1 = new Vector(2, 3, 5);
+      const v2 = new Vector(1, 2, 3);
+      v1.cross(v2);
+      expect(v1.array()).toEqual([2, 3, 5]);
+      expect(v2.array()).toEqual([1, 2, 3]);
+    })
+  });
+  describe('mag(), normalize()', () => {
+    test('magnitude of <3, 4, 0> is 5', () => {
+      const vector = new Vector(3, 4, 0);
+      expect(vector.mag()).toBe(5);
+    })
+
+    test('normalizing <3, 4, 0> gives <0.6, 0.8, 0>', () => {
+      const vector = new Vector(3, 4, 0).normalize();
+      expect(vector.approximatelyEquals(new Vector(0.6, 0.8, 0))).toBe(true);
+    })
+
+    test('normalizing the zero vector leaves it unchanged', () => {
+      const vector = new Vector(0, 0, 0).normalize();
+      expect(vector.array()).toEqual([0, 0, 0]);
+    })
+  });
   describe('dist(vector)', () => {
     test('distance from <1, 1, 1> to <4, 5, 1> is 5', () => {
       const v1 = new Vector(1, 1, 1);
@@ -0,0 +1,169 @@
+import { describe, expect, test } from 'vitest';
+import { Vector } from '../src/Vector.js';
+import * as constants from '../src/constants.js';
+import {
+  linear,
+  cubic,
+  back,
+  elastic,
+  bounce,
+  spring,
+  steps,
+  easedTraversalAt,
+  chainLegs,
+  chainedTraversalAt
+} from '../src/easing.js';
+import { createShape } from './helpers/shapes.js';
+
+// a straight path of length 100 along the x-axis, made of a line and a cubic Bézier with
+// unevenly spaced control points, so that its parameter isn't proportional to length
+function unevenPath() {
+  const shape = createShape();
+  shape.beginShape();
+  shape.vertex(new Vector(0, 0, 0));
+  shape.vertex(new Vector(40, 0, 0));
+  shape.bezierVertex(new Vector(42, 0, 0));
+  shape.bezierVertex(new Vector(45, 0, 0));
+  shape.bezierVertex(new Vector(100, 0, 0));
+  shape.endShape();
+  return shape;
+}
+
+const allEasings = {
+  linear,
+  'cubic(EASE_IN)': cubic(constants.EASE_IN),
+  'cubic(EASE_OUT)': cubic(constants.EASE_OUT),
+  'cubic(EASE_IN_OUT)': cubic(constants.EASE_IN_OUT),
+  'back()': back(),
+  'elastic()': elastic(),
+  'elastic(EASE_IN_OUT)': elastic(constants.EASE_IN_OUT),
+  'bounce()': bounce(),
+  'bounce(EASE_IN)': bounce(constants.EASE_IN),
+  'spring()': spring(),
+  'spring({damping: 40})': spring({ damping: 40 }),
+  'spring({damping: 20})': spring({ damping: 20 }),
+  'steps(4)': steps(4)
+};
+
+describe('easing functions', () => {
+  for (const [name, easing] of Object.entries(allEasings)) {
+    test(`${name} maps 0 to 0 and 1 to 1`, () => {
+      expect(easing(0)).toBeCloseTo(0, 12);
+      expect(easing(1)).toBeCloseTo(1, 12);
+    })
+  }
+
+  test('cubic modes', () => {
+    expect(cubic(constants.EASE_IN)(0.5)).toBe(0.125);
+    expect(cubic(constants.EASE_OUT)(0.5)).toBe(0.875);
+    expect(cubic()(0.25)).toBe(0.0625);
+    expect(cubic()(0.75)).toBe(0.9375);
+    expect(() => cubic('sideways')).toThrow();
+  })
+
+  test('back() overshoots and elastic() oscillates around the target', () => {
+    const samples = easing => Array.from({ length: 101 }, (_, i) => easing(i / 100));
+    expect(Math.max(...samples(back()))).toBeGreaterThan(1.05);
+    expect(Math.min(...samples(back(constants.EASE_IN)))).toBeLessThan(-0.05);
+    expect(Math.max(...samples(back(constants.EASE_OUT, { overshoot: 0 })))).toBeCloseTo(1, 12);
+    const elasticSamples = samples(elastic());
+    expect(Math.max(...elasticSamples)).toBeGreaterThan(1.2);
+    expect(elasticSamples.slice(1).some((value, i) => value < 1 && elasticSamples[i] > 1)).toBe(true);
+  })
+
+  test('bounce() stays in [0, 1] and touches the target before settling', () => {
+    const easing = bounce();
+    expect(easing(1 / 2.75)).toBeCloseTo(1, 12);
+    expect(easing(2 / 2.75)).toBeCloseTo(1, 12);
+    for (let i = 0; i <= 100; i++) {
+      expect(easing(i / 100)).toBeGreaterThanOrEqual(0);
+      expect(easing(i / 100)).toBeLessThanOrEqual(1 + 1e-12);
+    }
+  })
+
+  test('spring() follows the damped oscillator', () => {
+    // critically damped: x(t) = 1 - (1 + wt) e^(-wt), with w = 10
+    const duration = 1;
+    const critical = spring({ stiffness: 100, damping: 20, duration });
+    const exact = t => 1 - (1 + 10 * t) * Math.exp(-10 * t);
+    const endError = 1 - exact(duration);
+    expect(critical(0.3)).toBeCloseTo(exact(0.3) + endError * 0.3, 12);
+
+    // underdamped springs overshoot, and overdamped springs don't
+    const samples = easing => Array.from({ length: 201 }, (_, i) => easing(i / 200));
+    expect(Math.max(...samples(spring({ damping: 5 })))).toBeGreaterThan(1.3);
+    expect(Math.max(...samples(spring({ damping: 40 })))).toBeLessThanOrEqual(1 + 1e-12);
+
+    expect(() => spring({ damping: 0 })).toThrow();
+    // undamped, over a whole period: x(t) = 1 - cos(10t), corrected by 0.25 at a quarter
+    expect(spring({ damping: 0, duration: Math.PI / 5 })(0.25)).toBeCloseTo(1.25, 12);
+    expect(() => spring({ stiffness: -1 })).toThrow();
+  })
+
+  test('steps() jumps at the end or start of each interval', () => {
+    const atEnd = steps(4);
+    const atStart = steps(4, { atStart: true });
+    expect([0.1, 0.25, 0.6, 0.99].map(atEnd)).toEqual([0, 0.25, 0.5, 0.75]);
+    expect([0.1, 0.25, 0.6, 0.99].map(atStart)).toEqual([0.25, 0.25, 0.75, 1]);
+    expect(() => steps(0)).toThrow();
+    expect(() => steps(2.5)).toThrow();
+  })
+});
+
+describe('easedTraversalAt(shape, progress, options)', () => {
+  test('maps eased progress to arc length, not to the curve parameter', () => {
+    const shape = unevenPath();
+    const easing = cubic(constants.EASE_OUT);
+    for (const progress of [0.1, 0.5, 0.8]) {
+      const state = easedTraversalAt(shape, progress, { easing });
+      expect(state.easedProgress).toBe(easing(progress));
+      expect(state.position.x).toBeCloseTo(100 * easing(progress), 3);
+      expect(state.frame.tangent.approximatelyEquals(new Vector(1, 0, 0))).toBe(true);
+    }
+  })
+
+  test('travels between lengths, in either direction, and clamps overshoots to the path', () => {
+    const shape = unevenPath();
+    const backward = easedTraversalAt(shape, 0.25, { startLength: 80, endLength: 40 });
+    expect(backward.position.x).toBeCloseTo(70, 3);
+
+    const overshoot = easedTraversalAt(shape, 0.6, { easing: back() });
+    expect(overshoot.easedProgress).toBeGreaterThan(1);
+    expect(overshoot.length).toBe(100);
+    const inside = easedTraversalAt(shape, 0.6, { easing: back(), endLength: 50 });
+    expect(inside.position.x).toBeGreaterThan(50);
+  })
+});
+
+describe('chainLegs(marks, legs), chainedTraversalAt(shape, chain, time)', () => {
+  const marks = { start: 0, middle: 50, end: 100 };
+
+  test('plays eased legs one after another', () => {
+    const shape = unevenPath();
+    const chain = chainLegs(marks, [
+      { from: 'start', to: 'middle', duration: 2, easing: cubic(constants.EASE_IN) },
+      { to: 'end', duration: 1 },
+      { to: 80, duration: 4, easing: steps(2) }
+    ]);
+    expect(chain.duration).toBe(7);
+    expect(chain.legs.map(leg => leg.startLength)).toEqual([0, 50, 100]);
+
+    expect(chainedTraversalAt(shape, chain, -1).position.x).toBe(0);
+    const first = chainedTraversalAt(shape, chain, 1);
+    expect(first.index).toBe(0);
+    expect(first.position.x).toBeCloseTo(50 / 8, 3);
+    const second = chainedTraversalAt(shape, chain, 2.5);
+    expect(second.index).toBe(1);
+    expect(second.position.x).toBeCloseTo(75, 3);
+    expect(chainedTraversalAt(shape, chain, 4).position.x).toBeCloseTo(100, 3);
+    expect(chainedTraversalAt(shape, chain, 5.5).position.x).toBeCloseTo(90, 3);
+    expect(chainedTraversalAt(shape, chain, 10).position.x).toBeCloseTo(80, 3);
+  })
+
+  test('validates marks and legs', () => {
+    expect(() => chainLegs(marks, [])).toThrow();
+    expect(() => chainLegs(marks, [{ to: 'end' }])).toThrow();
+    expect(() => chainLegs(marks, [{ from: 'start', to: 'summit' }])).toThrow();
+    expect(() => chainLegs(marks, [{ from: 'start', to: 'end', duration: -1 }])).toThrow();
+  })
+});
@@ -0,0 +1,360 @@
+import { describe, expect, test } from 'vitest';
+import { Vector } from '../src/Vector.js';
+import {
+  estimateTangents,
+  initialNormal,
+  doubleReflect,
+  rotationMinimizingFrames,
+  rotateFrame,
+  holonomyAngle,
+  correctHolonomy,
+  estimateCurvatures,
+  frenetFrames,
+  fixedFrames,
+  interpolateFrame,
+  frameToMatrix
+} from '../src/frames.js';
+
+function helix(count, turns = 1) {
+  const positions = [];
+  for (let i = 0; i < count; i++) {
+    const angle = 2 * Math.PI * turns * i / (count - 1);
+    positions.push(new Vector(Math.cos(angle), Math.sin(angle), angle / Math.PI));
+  }
+  return positions;
+}
+
+// A closed, non-planar loop whose rotation minimizing frames don't return to the start
+function twistedLoop(angles) {
+  const positions = angles.map(angle => new Vector(
+    Math.cos(angle),
+    Math.sin(2 * angle),
+    0.5 * Math.sin(3 * angle)
+  ));
+  positions[positions.length - 1] = positions[0].copy();
+  return positions;
+}
+
+function evenAngles(count) {
+  const angles = [];
+  for (let i = 0; i <= count; i++) {
+    angles.push(2 * Math.PI * i / count);
+  }
+  return angles;
+}
+
+function expectOrthonormal(frame) {
+  const { tangent, normal, binormal } = frame;
+  expect(tangent.mag()).toBeCloseTo(1, 9);
+  expect(normal.mag()).toBeCloseTo(1, 9);
+  expect(tangent.dot(normal)).toBeCloseTo(0, 9);
+  expect(tangent.cross(normal).approximatelyEquals(binormal, 1e-9)).toBe(true);
+}
+
+describe('frames', () => {
+  describe('estimateTangents(positions)', () => {
+    test('tangents of a straight polyline all point along it', () => {
+      const positions = [0, 1, 3, 6].map(x => new Vector(x, 0, 0));
+      for (const tangent of estimateTangents(positions)) {
+        expect(tangent.array()).toEqual([1, 0, 0]);
+      }
+    })
+
+    test('tangent at a corner bisects the chords on either side', () => {
+      const positions = [new Vector(0, 0, 0), new Vector(1, 0, 0), new Vector(1, 5, 0)];
+      const tangent = estimateTangents(positions)[1];
+      expect(tangent.approximatelyEquals(new Vector(Math.SQRT1_2, Math.SQRT1_2, 0))).toBe(true);
+    })
+
+    test('repeated vertices are skipped instead of producing zero tangents', () => {
+      const positions = [new Vector(0, 0, 0), new Vector(0, 0, 0), new Vector(0, 2, 0)];
+      for (const tangent of estimateTangents(positions)) {
+        expect(tangent.array()).toEqual([0, 1, 0]);
+      }
+    })
+  });
+  describe('initialNormal(tangent, [reference])', () => {
+    test('a tangent in the xy-plane gets a binormal along the positive z-axis', () => {
+      const tangent = new Vector(1, 0, 0);
+      const normal = initialNormal(tangent);
+      expect(tangent.cross(normal).approximatelyEquals(new Vector(0, 0, 1))).toBe(true);
+    })
+
+    test('a tangent along the z-axis still gets a perpendicular unit normal', () => {
+      const tangent = new Vector(0, 0, 1);
+      const normal = initialNormal(tangent);
+      expect(normal.mag()).toBeCloseTo(1);
+      expect(normal.dot(tangent)).toBeCloseTo(0);
+    })
+
+    test('a reference direction is projected to be perpendicular to the tangent', () => {
+      const normal = initialNormal(new Vector(1, 0, 0), new Vector(1, 1, 0));
+      expect(normal.approximatelyEquals(new Vector(0, 1, 0))).toBe(true);
+    })
+  });
+  describe('doubleReflect(frame, position, tangent)', () => {
+    test('the normal is unchanged when moving along a straight line', () => {
+      const frame = {
+        position: new Vector(0, 0, 0),
+        tangent: new Vector(1, 0, 0),
+        normal: new Vector(0, 0.6, 0.8),
+        binormal: new Vector(0, -0.8, 0.6)
+      };
+      const next = doubleReflect(frame, new Vector(2, 0, 0), new Vector(1, 0, 0));
+      expect(next.normal.approximatelyEquals(frame.normal, 1e-12)).toBe(true);
+      expect(next.position.array()).toEqual([2, 0, 0]);
+    })
+  });
+  describe('rotationMinimizingFrames(positions, tangents, [options])', () => {
+    test('frames along a helix stay orthonormal and right-handed', () => {
+      const positions = helix(200, 3);
+      const frames = rotationMinimizingFrames(positions, estimateTangents(positions));
+      expect(frames).toHaveLength(200);
+      frames.forEach(expectOrthonormal);
+    })
+
+    test('frames along a helix do not rotate about the tangent', () => {
+      // A rotation minimizing frame has no angular velocity about the tangent,
+      // so each new normal has (almost) no component along the previous binormal
+      const positions = helix(400);
+      const frames = rotationMinimizingFrames(positions, estimateTangents(positions));
+      for (let i = 1; i < frames.length; i++) {
+        expect(Math.abs(frames[i].normal.dot(frames[i - 1].binormal))).toBeLessThan(1e-4);
+      }
+    })
+
+    test('frames along a curve in the xy-plane keep the binormal on the z-axis', () => {
+      const positions = [];
+      for (let i = 0; i <= 50; i++) {
+        positions.push(new Vector(i, 10 * Math.sin(i / 5), 0));
+      }
+      const frames = rotationMinimizingFrames(positions, estimateTangents(positions));
+      for (const frame of frames) {
+        expect(frame.binormal.approximatelyEquals(new Vector(0, 0, 1), 1e-9)).toBe(true);
+      }
+    })
+
+    test('the initial frame sets the first normal', () => {
+      const positions = [new Vector(0, 0, 0), new Vector(1, 0, 0)];
+      const initialFrame = { normal: new Vector(0, 0, 1) };
+      const frames = rotationMinimizingFrames(positions, estimateTangents(positions), {
+        initialFrame
+      });
+      expect(frames[0].normal.approximatelyEquals(new Vector(0, 0, 1))).toBe(true);
+      expect(frames[0].binormal.approximatelyEquals(new Vector(0, -1, 0))).toBe(true);
+    })
+
+    test('no positions give no frames', () => {
+      expect(rotationMinimizingFrames([], [])).toEqual([]);
+    })
+  });
+  describe('estimateTangents(positions, { isClosed: true })', () => {
+    test('tangents at the start and end of a closed polyline agree across the seam', () => {
+      const positions = [
+        new Vector(0, 0, 0),
+        new Vector(1, 0, 0),
+        new Vector(1, 1, 0),
+        new Vector(0, 0, 0)
+      ];
+      const tangents = estimateTangents(positions, { isClosed: true });
+      expect(tangents[0].approximatelyEquals(tangents[3], 1e-12)).toBe(true);
+      expect(tangents[0].y).toBeLessThan(0);
+    })
+  });
+  describe('rotateFrame(frame, angle)', () => {
+    test('rotating by a quarter turn takes the normal to the binormal', () => {
+      const frame = {
+        position: new Vector(0, 0, 0),
+        tangent: new Vector(1, 0, 0),
+        normal: new Vector(0, 1, 0),
+        binormal: new Vector(0, 0, 1)
+      };
+      const rotated = rotateFrame(frame, Math.PI / 2);
+      expect(rotated.normal.approximatelyEquals(new Vector(0, 0, 1), 1e-12)).toBe(true);
+      expect(rotated.binormal.approximatelyEquals(new Vector(0, -1, 0), 1e-12)).toBe(true);
+    })
+  });
+  describe('holonomyAngle(frames), correctHolonomy(frames)', () => {
+    test('a planar loop has no holonomy', () => {
+      const positions = [];
+      for (let i = 0; i <= 64; i++) {
+        const angle = 2 * Math.PI * i / 64;
+        positions.push(new Vector(Math.cos(angle), Math.sin(angle), 0));
+      }
+      const tangents = estimateTangents(positions, { isClosed: true });
+      expect(holonomyAngle(rotationMinimizingFrames(positions, tangents))).toBeCloseTo(0, 9);
+    })
+
+    test('corrected frames return to the first frame without a seam', () => {
+      const positions = twistedLoop(evenAngles(200));
+      const tangents = estimateTangents(positions, { isClosed: true });
+      const frames = rotationMinimizingFrames(positions, tangents);
+      const angle = holonomyAngle(frames);
+      expect(Math.abs(angle)).toBeGreaterThan(0.1);
+      expect(frames.at(-1).normal.approximatelyEquals(frames[0].normal, 0.05)).toBe(false);
+
+      const corrected = correctHolonomy(frames, angle);
+      expect(corrected.at(-1).normal.approximatelyEquals(corrected[0].normal, 1e-9)).toBe(true);
+      corrected.forEach(expectOrthonormal);
+    })
+
+    test('the correction is distributed in proportion to arc length, not sample index', () => {
+      // Half of the samples are crowded into the first tenth of the loop
+      const angles = [];
+      for (let i = 0; i < 100; i++) angles.push(0.2 * Math.PI * i / 100);
+      for (let i = 0; i <= 100; i++) angles.push(0.2 * Math.PI + 1.8 * Math.PI * i / 100);
+      const positions = twistedLoop(angles);
+
+      const tangents = estimateTangents(positions, { isClosed: true });
+      const frames = rotationMinimizingFrames(positions, tangents);
+      const angle = holonomyAngle(frames);
+      const corrected = correctHolonomy(frames, angle);
+      expect(Math.abs(angle)).toBeGreaterThan(0.1);
+
+      let length = 0;
+      let totalLength = 0;
+      for (let i = 1; i < positions.length; i++) {
+        totalLength += positions[i].dist(positions[i - 1]);
+        if (i <= 100) length = totalLength;
+      }
+
+      // signed rotation that the correction applied at sample 100
+      const { normal, binormal } = frames[100];
+      const applied = Math.atan2(corrected[100].normal.dot(binormal), corrected[100].normal.dot(normal));
+      expect(applied).toBeCloseTo(angle * length / totalLength, 9);
+    })
+  });
+  describe('estimateCurvatures(positions, tangents)', () => {
+    test('curvature vectors on a circle of radius 2 point to the center, with magnitude 1/2', () => {
+      const positions = [];
+      for (let i = 0; i <= 100; i++) {
+        const angle = Math.PI * i / 100;
+        positions.push(new Vector(2 * Math.cos(angle), 2 * Math.sin(angle), 0));
+      }
+      const curvatures = estimateCurvatures(positions, estimateTangents(positions));
+      const curvature = curvatures[50];
+      expect(curvature.mag()).toBeCloseTo(0.5, 3);
+      expect(curvature.copy().normalize().approximatelyEquals(new Vector(0, -1, 0))).toBe(true);
+    })
+  });
+  describe('frenetFrames(positions, tangents, [options])', () => {
+    function sCurve() {
+      const positions = [];
+      for (let i = 0; i <= 100; i++) {
+        const x = 2 * Math.PI * i / 100;
+        positions.push(new Vector(x, Math.sin(x), 0));
+      }
+      return positions;
+    }
+
+    test('the normal of a Frenet–Serret frame follows the curvature', () => {
+      const positions = sCurve();
+      const { frames } = frenetFrames(positions, estimateTangents(positions));
+      // sin(x) curves downward near x = π/2, and upward near x = 3π/2
+      expect(frames[25].normal.approximatelyEquals(new Vector(0, -1, 0))).toBe(true);
+      expect(frames[75].normal.approximatelyEquals(new Vector(0, 1, 0))).toBe(true);
+      frames.forEach(expectOrthonormal);
+    })
+
+    test('reports the flip and the vanishing curvature at an inflection point', () => {
+      const positions = sCurve();
+      const { degenerateSpans, flips } = frenetFrames(positions, estimateTangents(positions));
+      expect(flips).toEqual([51]);
+      expect(degenerateSpans).toEqual([{ start: 50, end: 50 }]);
+    })
+
+    test('a straight line is one degenerate span, with well-defined frames throughout', () => {
+      const positions = [0, 1, 2, 3].map(x => new Vector(x, 0, 0));
+      const { frames, degenerateSpans, flips } = frenetFrames(positions, estimateTangents(positions));
+      expect(degenerateSpans).toEqual([{ start: 0, end: 3 }]);
+      expect(flips).toEqual([]);
+      frames.forEach(expectOrthonormal);
+    })
+  });
+  describe('fixedFrames(positions, tangents, reference, [options])', () => {
+    test('the binormal stays level with the reference on a banked curve', () => {
+      const positions = helix(100);
+      const up = new Vector(0, 0, 1);
+      const { frames, fallbackSpans } = fixedFrames(positions, estimateTangents(positions), up);
+      expect(fallbackSpans).toEqual([]);
+      for (const frame of frames) {
+        expectOrthonormal(frame);
+        expect(frame.normal.z).toBeCloseTo(0, 9);
+        expect(frame.binormal.z).toBeGreaterThan(0);
+      }
+    })
+
+    test('falls back to rotation minimizing frames where the tangent is parallel to the reference', () => {
+      // along the x-axis, up the z-axis, then along the y-axis
+      const positions = [
+        new Vector(0, 0, 0), new Vector(1, 0, 0), new Vector(2, 0, 0),
+        new Vector(2, 0, 1), new Vector(2, 0, 2), new Vector(2, 0, 3),
+        new Vector(2, 1, 3), new Vector(2, 2, 3)
+      ];
+      const tangents = estimateTangents(positions);
+      const { frames, fallbackSpans } = fixedFrames(positions, tangents, new Vector(0, 0, 1));
+      expect(fallbackSpans).toEqual([{ start: 3, end: 4 }]);
+      for (const frame of frames) {
+        expectOrthonormal(frame);
+        expect(frame.normal.array().some(Number.isNaN)).toBe(false);
+      }
+    })
+
+    test('falls back at the start of a curve by carrying the next frame backward', () => {
+      const positions = [new Vector(0, 0, 0), new Vector(0, 0, 1), new Vector(1, 0, 2), new Vector(2, 0, 2)];
+      const tangents = estimateTangents(positions);
+      const { frames, fallbackSpans } = fixedFrames(positions, tangents, new Vector(0, 0, 1));
+      expect(fallbackSpans).toEqual([{ start: 0, end: 0 }]);
+      frames.forEach(expectOrthonormal);
+    })
+
+    test('a curve that is parallel to the reference throughout still gets frames', () => {
+      const positions = [0, 1, 2].map(z => new Vector(0, 0, z));
+      const { frames, fallbackSpans } = fixedFrames(positions, estimateTangents(positions), new Vector(0, 0, 1));
+      expect(fallbackSpans).toEqual([{ start: 0, end: 2 }]);
+      frames.forEach(expectOrthonormal);
+    })
+  });
+  describe('interpolateFrame(before, after, position, tangent)', () => {
+    test('agrees with double reflection between rotation minimizing frames', () => {
+      const positions = helix(41);
+      const tangents = estimateTangents(positions);
+      const frames = rotationMinimizingFrames(positions, tangents);
+      const midpoint = positions[10].copy().add(positions[11]).mult(0.5);
+      const tangent = tangents[10].copy().add(tangents[11]).normalize();
+
+      const frame = interpolateFrame(frames[10], frames[11], midpoint, tangent);
+      const reflected = doubleReflect(frames[10], midpoint, tangent);
+      expectOrthonormal(frame);
+      expect(frame.normal.approximatelyEquals(reflected.normal, 1e-6)).toBe(true);
+    })
+
+    test('turns in proportion to distance between frames rotated about their tangents', () => {
+      const positions = [new Vector(0, 0, 0), new Vector(4, 0, 0)];
+      const tangents = [new Vector(1, 0, 0), new Vector(1, 0, 0)];
+      const [before, unrotated] = rotationMinimizingFrames(positions, tangents);
+      const after = rotateFrame(unrotated, 0.8);
+
+      const frame = interpolateFrame(before, after, new Vector(1, 0, 0), new Vector(1, 0, 0));
+      const expected = rotateFrame(before, 0.2);
+      expect(frame.normal.approximatelyEquals(expected.normal, 1e-12)).toBe(true);
+      expect(frame.binormal.approximatelyEquals(expected.binormal, 1e-12)).toBe(true);
+    })
+  });
+  describe('frameToMatrix(frame)', () => {
+    test('has the normal, binormal, tangent, and position as columns', () => {
+      const frame = {
+        position: new Vector(2, 3, 5),
+        tangent: new Vector(0, 1, 0),
+        normal: new Vector(0, 0, 1),
+        binormal: new Vector(1, 0, 0)
+      };
+      expect(Array.from(frameToMatrix(frame))).toEqual([
+        0, 0, 1, 0,
+        1, 0, 0, 0,
+        0, 1, 0, 0,
+        2, 3, 5, 1
+      ]);
+    })
+  });
+});
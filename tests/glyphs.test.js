@@ -0,0 +1,98 @@
+import { describe, expect, test } from 'vitest';
+import { Vector } from '../src/Vector.js';
+import * as constants from '../src/constants.js';
+import { layoutGlyphs } from '../src/glyphs.js';
+import { createShape, line, square } from './helpers/shapes.js';
+
+const lengthsOf = glyphs => glyphs.map(glyph => glyph.length);
+
+describe('layoutGlyphs(shape, advances, [options])', () => {
+  test('places each glyph by its middle, with its origin at the start of its advance', () => {
+    const glyphs = layoutGlyphs(line(100), [10, 10, 10]);
+    expect(lengthsOf(glyphs)).toEqual([5, 15, 25]);
+    expect(glyphs.map(glyph => glyph.position.array())).toEqual([[0, 0, 0], [10, 0, 0], [20, 0, 0]]);
+    expect(glyphs.every(glyph => glyph.angle === 0 && glyph.scale === 1)).toBe(true);
+  })
+
+  test('adds kerning between neighboring glyphs', () => {
+    const glyphs = layoutGlyphs(line(100), [10, 10, 10], { kerning: [2, -1] });
+    expect(lengthsOf(glyphs)).toEqual([5, 17, 26]);
+  })
+
+  test('aligns the text to the start offset', () => {
+    const shape = line(100);
+    const advances = [10, 10, 10];
+    expect(lengthsOf(layoutGlyphs(shape, advances, { startOffset: 20 }))).toEqual([25, 35, 45]);
+    expect(lengthsOf(layoutGlyphs(shape, advances, {
+      align: constants.CENTER,
+      startOffset: 50
+    }))).toEqual([40, 50, 60]);
+    expect(lengthsOf(layoutGlyphs(shape, advances, {
+      align: constants.RIGHT,
+      startOffset: 100
+    }))).toEqual([75, 85, 95]);
+  })
+
+  test('clips glyphs whose middle falls off the path', () => {
+    const glyphs = layoutGlyphs(line(100), new Array(12).fill(10), { startOffset: -8 });
+    expect(glyphs.map(glyph => glyph.index)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  })
+
+  test('squeezes text that does not fit', () => {
+    const glyphs = layoutGlyphs(line(100), new Array(12).fill(10), {
+      align: constants.CENTER,
+      startOffset: 40,
+      overflow: constants.SQUEEZE
+    });
+    expect(glyphs).toHaveLength(12);
+    expect(glyphs[0].scale).toBeCloseTo(80 / 120, 12);
+    expect(glyphs[0].position.x).toBeCloseTo(0, 12);
+    expect(glyphs[11].position.x + 10 * glyphs[11].scale).toBeCloseTo(80, 12);
+  })
+
+  test('wraps glyphs across the seam of a closed contour', () => {
+    const glyphs = layoutGlyphs(square(10), new Array(6).fill(10), {
+      startOffset: 20,
+      overflow: constants.WRAP
+    });
+    expect(lengthsOf(glyphs)).toEqual([25, 35, 5, 15, 25, 35]);
+    expect(glyphs[2].position.array()).toEqual([0, 0, 0]);
+  })
+
+  test('only clips on an open contour, even when wrapping', () => {
+    const glyphs = layoutGlyphs(line(30), new Array(6).fill(10), { overflow: constants.WRAP });
+    expect(lengthsOf(glyphs)).toEqual([5, 15, 25]);
+  })
+
+  test('orients glyphs by the frame at their middle on curves', () => {
+    const shape = createShape();
+    shape.beginShape();
+    shape.vertex(new Vector(0, 0, 0));
+    shape.bezierVertex(new Vector(0, 50, 0));
+    shape.bezierVertex(new Vector(50, 100, 0));
+    shape.bezierVertex(new Vector(100, 100, 0));
+    shape.endShape();
+
+    for (const { position, angle, frame } of layoutGlyphs(shape, [8, 8, 8, 8], { startOffset: 40 })) {
+      expect(angle).toBeCloseTo(Math.atan2(frame.tangent.y, frame.tangent.x), 12);
+      const middle = position.copy().add(frame.tangent.copy().mult(4));
+      expect(middle.approximatelyEquals(frame.position, 1e-12)).toBe(true);
+      expect(frame.binormal.approximatelyEquals(new Vector(0, 0, 1), 1e-9)).toBe(true);
+    }
+  })
+
+  test('uses the given contour', () => {
+    const shape = line(10);
+    shape.beginContour();
+    shape.vertex(new Vector(0, 5, 0));
+    shape.vertex(new Vector(0, 25, 0));
+    shape.endContour();
+    const glyphs = layoutGlyphs(shape, [4, 4], { contoursIndex: 1 });
+    expect(glyphs.map(glyph => glyph.position.array())).toEqual([[0, 5, 0], [0, 9, 0]]);
+  })
+
+  test('rejects unknown alignments and overflows', () => {
+    expect(() => layoutGlyphs(line(100), [10], { align: 'middle' })).toThrow(/align/);
+    expect(() => layoutGlyphs(line(100), [10], { overflow: 'hidden' })).toThrow(/overflow/);
+  })
+});
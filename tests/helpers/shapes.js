@@ -0,0 +1,59 @@
+import { Vector } from '../../src/Vector.js';
+import * as constants from '../../src/constants.js';
+import { Shape } from '../../src/shapes.js';
+
+// the distance from an end of a quarter circle of unit radius to its nearest Bézier control
+// point, for the usual cubic approximation
+export const KAPPA = 0.5522847498;
+
+export function createShape() {
+  return new Shape({ position: new Vector(0, 0, 0) });
+}
+
+// an open path of the given length along the x-axis
+export function line(length) {
+  const shape = createShape();
+  shape.beginShape();
+  shape.vertex(new Vector(0, 0, 0));
+  shape.vertex(new Vector(length, 0, 0));
+  shape.endShape();
+  return shape;
+}
+
+// a closed square of the given side, starting at the given corner
+export function square(side, startCorner = 0) {
+  const corners = [
+    new Vector(0, 0, 0),
+    new Vector(side, 0, 0),
+    new Vector(side, side, 0),
+    new Vector(0, side, 0)
+  ];
+  const shape = createShape();
+  shape.beginShape();
+  for (let i = 0; i < 4; i++) {
+    shape.vertex(corners[(startCorner + i) % 4]);
+  }
+  shape.endShape(constants.CLOSE);
+  return shape;
+}
+
+// a closed circle of four cubic Bézier arcs, centered at (cx, cy)
+export function circle(radius, cx = 0, cy = 0) {
+  const k = KAPPA * radius;
+  const shape = createShape();
+  shape.beginShape();
+  shape.vertex(new Vector(cx + radius, cy, 0));
+  const quarters = [
+    [[radius, k], [k, radius], [0, radius]],
+    [[-k, radius], [-radius, k], [-radius, 0]],
+    [[-radius, -k], [-k, -radius], [0, -radius]],
+    [[k, -radius], [radius, -k], [radius, 0]]
+  ];
+  for (const quarter of quarters) {
+    for (const [x, y] of quarter) {
+      shape.bezierVertex(new Vector(cx + x, cy + y, 0));
+    }
+  }
+  shape.endShape(constants.CLOSE);
+  return shape;
+}
@@ -0,0 +1,189 @@
+import { describe, expect, test } from 'vitest';
+import { Vector } from '../src/Vector.js';
+import * as constants from '../src/constants.js';
+import {
+  constantSpeed,
+  velocityKeys,
+  accelerationLimits,
+  motionAt,
+  motionDuration
+} from '../src/motion.js';
+import { KAPPA, createShape } from './helpers/shapes.js';
+
+// a line of length 100 along the x-axis, followed by a quarter circle of radius 50
+function linePlusArc() {
+  const k = KAPPA * 50;
+  const shape = createShape();
+  shape.beginShape();
+  shape.vertex(new Vector(0, 0, 0));
+  shape.vertex(new Vector(100, 0, 0));
+  shape.bezierVertex(new Vector(100 + k, 0, 0));
+  shape.bezierVertex(new Vector(150, 50 - k, 0));
+  shape.bezierVertex(new Vector(150, 50, 0));
+  shape.endShape();
+  return shape;
+}
+
+describe('constantSpeed(speed)', () => {
+  test('covers distance in proportion to time', () => {
+    const profile = constantSpeed(20);
+    expect(profile.distanceAt(-1)).toBe(0);
+    expect(profile.distanceAt(2.5)).toBe(50);
+    expect(profile.velocityAt(2.5)).toBe(20);
+    expect(profile.timeAtDistance(50)).toBe(2.5);
+    expect(constantSpeed(0).timeAtDistance(1)).toBe(Infinity);
+  })
+
+  test('rejects negative speeds', () => {
+    expect(() => constantSpeed(-1)).toThrow();
+  })
+});
+
+describe('velocityKeys(keys)', () => {
+  const keys = [
+    { time: 1, velocity: 0 },
+    { time: 3, velocity: 10 },
+    { time: 5, velocity: 10 },
+    { time: 6, velocity: 0 }
+  ];
+
+  test('integrates the interpolated velocity exactly', () => {
+    const profile = velocityKeys(keys);
+    expect(profile.distanceAt(1)).toBe(0);
+    expect(profile.distanceAt(2)).toBe(2.5);
+    expect(profile.velocityAt(2)).toBe(5);
+    expect(profile.distanceAt(3)).toBe(10);
+    expect(profile.distanceAt(4)).toBe(20);
+    expect(profile.distanceAt(5.5)).toBe(30 + 3.75);
+    expect(profile.distanceAt(6)).toBe(35);
+    expect(profile.distanceAt(100)).toBe(35);
+    expect(profile.velocityAt(100)).toBe(0);
+  })
+
+  test('holds the first velocity before the first key', () => {
+    const profile = velocityKeys([{ time: 2, velocity: 4 }, { time: 4, velocity: 8 }]);
+    expect(profile.distanceAt(2)).toBe(8);
+    expect(profile.distanceAt(4)).toBe(20);
+    expect(profile.distanceAt(5)).toBe(28);
+  })
+
+  test('interpolates the velocity at time 0 between keys on either side of it', () => {
+    const profile = velocityKeys([{ time: -1, velocity: 0 }, { time: 1, velocity: 10 }]);
+    expect(profile.velocityAt(0)).toBe(5);
+    expect(profile.distanceAt(1)).toBe(7.5);
+    expect(profile.velocityAt(2)).toBe(10);
+  })
+
+  test('inverts distances to the first time they are reached', () => {
+    const profile = velocityKeys(keys);
+    for (const time of [0.5 + 1, 2, 3, 4.25, 5.5]) {
+      expect(profile.timeAtDistance(profile.distanceAt(time))).toBeCloseTo(time, 12);
+    }
+    // the motion is at rest before time 1
+    expect(profile.timeAtDistance(0)).toBe(0);
+    expect(profile.timeAtDistance(35)).toBe(6);
+    expect(profile.timeAtDistance(36)).toBe(Infinity);
+  })
+
+  test('rejects negative velocities and keys out of order', () => {
+    expect(() => velocityKeys([])).toThrow();
+    expect(() => velocityKeys([{ time: 0, velocity: -1 }])).toThrow();
+    expect(() => velocityKeys([{ time: 1, velocity: 0 }, { time: 0, velocity: 1 }])).toThrow();
+  })
+});
+
+describe('accelerationLimits({maxVelocity, acceleration, [deceleration], [distance]})', () => {
+  test('accelerates, cruises, and decelerates to stop at the end', () => {
+    const profile = accelerationLimits({ maxVelocity: 10, acceleration: 5, deceleration: 10 });
+    // 2s and 10 units to reach full speed, 1s and 5 units to stop, 85 units of cruising
+    expect(profile.distanceAt(1, 100)).toBe(2.5);
+    expect(profile.velocityAt(1, 100)).toBe(5);
+    expect(profile.distanceAt(2, 100)).toBe(10);
+    expect(profile.distanceAt(10.5, 100)).toBe(95);
+    expect(profile.velocityAt(10.5, 100)).toBe(10);
+    expect(profile.distanceAt(11, 100)).toBeCloseTo(97.5 + 1.25, 12);
+    expect(profile.velocityAt(11, 100)).toBeCloseTo(5, 12);
+    expect(profile.distanceAt(11.5, 100)).toBe(100);
+    expect(profile.distanceAt(20, 100)).toBe(100);
+    expect(profile.velocityAt(20, 100)).toBe(0);
+    expect(profile.timeAtDistance(100, 100)).toBe(11.5);
+    expect(profile.timeAtDistance(50, 100)).toBe(2 + 4);
+  })
+
+  test('never reaches the maximum velocity over short distances', () => {
+    const profile = accelerationLimits({ maxVelocity: 10, acceleration: 2, distance: 8 });
+    // peak velocity 4 after 2s, back at rest after 4s
+    expect(profile.velocityAt(2, 1000)).toBe(4);
+    expect(profile.distanceAt(2, 1000)).toBe(4);
+    expect(profile.distanceAt(4, 1000)).toBe(8);
+    expect(profile.timeAtDistance(6, 1000)).toBeCloseTo(4 - Math.sqrt(2), 12);
+  })
+
+  test('rejects limits that are not positive', () => {
+    expect(() => accelerationLimits({ maxVelocity: 0, acceleration: 1 })).toThrow();
+    expect(() => accelerationLimits({ maxVelocity: 1, acceleration: 1, deceleration: -1 })).toThrow();
+  })
+});
+
+describe('motionAt(shape, profile, time), motionDuration(shape, profile)', () => {
+  test('moves at the profile speed along lines and curves alike', () => {
+    const shape = linePlusArc();
+    const profile = constantSpeed(25);
+    const arcLength = Math.PI * 50 / 2;
+
+    const onLine = motionAt(shape, profile, 2);
+    expect(onLine.distance).toBe(50);
+    expect(onLine.velocity).toBe(25);
+    expect(onLine.position.approximatelyEquals(new Vector(50, 0, 0))).toBe(true);
+    expect(onLine.frame.tangent.approximatelyEquals(new Vector(1, 0, 0))).toBe(true);
+
+    // halfway around the arc
+    const onArc = motionAt(shape, profile, (100 + arcLength / 2) / 25);
+    const expected = new Vector(100 + 50 * Math.SQRT1_2, 50 - 50 * Math.SQRT1_2, 0);
+    expect(onArc.position.dist(expected)).toBeLessThan(0.05);
+    expect(onArc.frame.tangent.approximatelyEquals(new Vector(Math.SQRT1_2, Math.SQRT1_2, 0), 0.01)).toBe(true);
+  })
+
+  test('stops at the end of the path', () => {
+    const shape = linePlusArc();
+    const profile = constantSpeed(25);
+    const duration = motionDuration(shape, profile);
+    expect(duration).toBeCloseTo(shape.getTotalLength() / 25, 12);
+
+    const after = motionAt(shape, profile, duration + 10);
+    expect(after.distance).toBeGreaterThan(shape.getTotalLength());
+    expect(after.length).toBe(shape.getTotalLength());
+    expect(after.position.approximatelyEquals(new Vector(150, 50, 0))).toBe(true);
+  })
+
+  test('plans acceleration limits over the rest of the path', () => {
+    const shape = createShape();
+    shape.beginShape();
+    shape.vertex(new Vector(0, 0, 0));
+    shape.vertex(new Vector(100, 0, 0));
+    shape.endShape();
+    const profile = accelerationLimits({ maxVelocity: 10, acceleration: 5 });
+
+    expect(motionDuration(shape, profile)).toBe(12);
+    expect(motionDuration(shape, profile, { startLength: 60 })).toBe(6);
+    const state = motionAt(shape, profile, 3, { startLength: 60 });
+    expect(state.length).toBe(60 + 10 + 10);
+    expect(state.position.array()).toEqual([80, 0, 0]);
+  })
+
+  test('travels along a single contour', () => {
+    const shape = createShape();
+    shape.beginShape();
+    shape.vertex(new Vector(0, 0, 0));
+    shape.vertex(new Vector(10, 0, 0));
+    shape.beginContour();
+    shape.vertex(new Vector(0, 10, 0));
+    shape.vertex(new Vector(0, 30, 0));
+    shape.endContour(constants.OPEN);
+    shape.endShape();
+
+    const state = motionAt(shape, constantSpeed(5), 3, { contoursIndex: 1 });
+    expect(state.position.array()).toEqual([0, 25, 0]);
+    expect(motionAt(shape, constantSpeed(5), 10, { contoursIndex: 1 }).length).toBe(20);
+  })
+});
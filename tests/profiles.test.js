@@ -0,0 +1,156 @@
+import { describe, expect, test } from 'vitest';
+import { Vector } from '../src/Vector.js';
+import * as constants from '../src/constants.js';
+import { Shape, PrimitiveToVerticesConverter, PrimitiveToSweepConverter } from '../src/shapes.js';
+import {
+  ellipse,
+  circle,
+  rectangle,
+  regularPolygon,
+  star,
+  line,
+  iBeam,
+  tBeam,
+  pipe
+} from '../src/profiles.js';
+
+// the points of each contour, as [x, y] pairs
+function points(shape) {
+  const converter = new PrimitiveToVerticesConverter();
+  shape.accept(converter);
+  return converter.contours.map(vertices =>
+    vertices.map(({ position }) => [position.x, position.y])
+  );
+}
+
+// the signed area enclosed by a closed contour whose last point repeats its first
+function signedArea(contour) {
+  let sum = 0;
+  for (let i = 1; i < contour.length; i++) {
+    const [x1, y1] = contour[i - 1];
+    const [x2, y2] = contour[i];
+    sum += x1 * y2 - x2 * y1;
+  }
+  return sum / 2;
+}
+
+describe('profiles', () => {
+  test('ellipse() and circle() place their vertices on the curve, counterclockwise', () => {
+    const [outline] = points(ellipse({ x: 1, y: 2, radiusX: 3, radiusY: 2, segments: 12 }));
+    expect(outline).toHaveLength(13);
+    for (const [x, y] of outline) {
+      expect(((x - 1) / 3) ** 2 + ((y - 2) / 2) ** 2).toBeCloseTo(1, 9);
+    }
+    expect(signedArea(outline)).toBeGreaterThan(0);
+
+    const [round] = points(circle({ radius: 2, segments: 6 }));
+    expect(round).toHaveLength(7);
+    expect(signedArea(round)).toBeCloseTo(6 * Math.sqrt(3), 9);
+  })
+
+  test('every profile is a shape with closed contours, except line()', () => {
+    const profiles = [
+      ellipse(), circle(), rectangle(), regularPolygon(), star(), iBeam(), tBeam(), pipe()
+    ];
+    for (const profile of profiles) {
+      expect(profile).toBeInstanceOf(Shape);
+      expect(profile.contours.every(contour => contour.isClosed)).toBe(true);
+    }
+    expect(line().contours[0].isClosed).toBe(false);
+  })
+
+  test('rectangle() has sharp corners by default, and rounded corners on request', () => {
+    const [sharp] = points(rectangle({ width: 4, height: 2 }));
+    expect(sharp).toHaveLength(5);
+    expect(signedArea(sharp)).toBeCloseTo(8, 9);
+
+    const rounded = rectangle({ width: 4, height: 2, cornerRadius: 1, cornerSegments: 16 });
+    const [outline] = points(rounded);
+    // the corners meet on the short sides, where their shared points aren't repeated
+    expect(outline).toHaveLength(4 * 17 - 2 + 1);
+    expect(signedArea(outline)).toBeCloseTo(8 - (4 - Math.PI), 1);
+    // the perimeter is made of straight sides and quarter circles
+    expect(rounded.getTotalLength()).toBeCloseTo(2 * 2 + 2 * Math.PI, 1);
+  })
+
+  test('regularPolygon() and star() alternate around their centers', () => {
+    const [hexagon] = points(regularPolygon({ radius: 1, sides: 6, rotation: Math.PI / 2 }));
+    expect(hexagon).toHaveLength(7);
+    expect(hexagon[0][0]).toBeCloseTo(0, 9);
+    expect(hexagon[0][1]).toBeCloseTo(1, 9);
+
+    const [outline] = points(star({ points: 5, outerRadius: 2, innerRadius: 1 }));
+    expect(outline).toHaveLength(11);
+    outline.slice(0, -1).forEach(([x, y], i) => {
+      expect(Math.hypot(x, y)).toBeCloseTo(i % 2 === 0 ? 2 : 1, 9);
+    });
+  })
+
+  test('iBeam() and tBeam() fill their bounding boxes except where the web is', () => {
+    const [i] = points(iBeam({ width: 2, height: 4, flangeThickness: 0.5, webThickness: 0.5 }));
+    expect(signedArea(i)).toBeCloseTo(2 * 0.5 * 2 + 3 * 0.5, 9);
+    expect(Math.max(...i.map(([, y]) => y))).toBe(2);
+    expect(Math.min(...i.map(([, y]) => y))).toBe(-2);
+
+    const [t] = points(tBeam({ width: 2, height: 4, flangeThickness: 0.5, webThickness: 0.5 }));
+    expect(signedArea(t)).toBeCloseTo(2 * 0.5 + 3.5 * 0.5, 9);
+    expect(Math.max(...t.map(([x]) => x))).toBe(1);
+  })
+
+  test('pipe() has a clockwise hole that keeps the wall thickness', () => {
+    const [outline, hole] = points(pipe({ width: 4, height: 4, cornerRadius: 1, thickness: 0.5 }));
+    expect(signedArea(outline)).toBeGreaterThan(0);
+    expect(signedArea(hole)).toBeLessThan(0);
+    expect(Math.max(...hole.map(([x]) => x))).toBeCloseTo(1.5, 9);
+    for (const [x, y] of hole) {
+      // the hole's corners are centered on the outline's corners
+      const cornerX = Math.abs(x) - 1;
+      const cornerY = Math.abs(y) - 1;
+      if (cornerX > 0 && cornerY > 0) {
+        expect(Math.hypot(cornerX, cornerY)).toBeCloseTo(0.5, 9);
+      }
+    }
+  })
+
+  test('profiles can be swept, offset from the spine by their centers', () => {
+    const shape = new Shape({ position: new Vector(0, 0, 0) });
+    shape.beginShape(constants.SWEEP);
+    shape.vertex(new Vector(0, 0, 0));
+    shape.vertex(new Vector(10, 0, 0));
+    shape.endShape();
+    shape.sweepSlice(circle({ x: 5, radius: 1, segments: 8 }));
+
+    const converter = new PrimitiveToSweepConverter();
+    shape.accept(converter);
+    const { strips } = converter.contours[0];
+    expect(strips).toHaveLength(8);
+    const { position, normal } = shape.getFrameAtLength(0);
+    const center = position.copy().add(normal.copy().mult(5));
+    for (const strip of strips) {
+      expect(strip[0].position.dist(center)).toBeCloseTo(1, 9);
+    }
+  })
+
+  test('line() makes a ribbon when swept', () => {
+    const shape = new Shape({ position: new Vector(0, 0, 0) });
+    shape.beginShape(constants.SWEEP);
+    shape.vertex(new Vector(0, 0, 0));
+    shape.vertex(new Vector(10, 0, 0));
+    shape.endShape();
+    shape.sweepSlice(line({ x1: -2, x2: 2 }));
+
+    const converter = new PrimitiveToSweepConverter();
+    shape.accept(converter);
+    expect(converter.contours[0].strips).toHaveLength(1);
+  })
+
+  test('rejects sizes and counts that make no sense', () => {
+    expect(() => circle({ radius: 0 })).toThrow();
+    expect(() => ellipse({ segments: 2 })).toThrow();
+    expect(() => regularPolygon({ sides: 4.5 })).toThrow();
+    expect(() => rectangle({ width: 2, height: 1, cornerRadius: 0.6 })).toThrow();
+    expect(() => iBeam({ height: 1, flangeThickness: 0.5 })).toThrow();
+    expect(() => tBeam({ width: 1, webThickness: 1 })).toThrow();
+    expect(() => pipe({ width: 1, thickness: 0.5 })).toThrow();
+  })
+});
@@ -0,0 +1,62 @@
+import { describe, expect, test } from 'vitest';
+import { simpson, adaptiveSimpson, gaussLegendre } from '../src/quadrature.js';
+
+describe('quadrature', () => {
+  describe('simpson(f, a, b, [intervals])', () => {
+    test('integrates cubics exactly', () => {
+      const f = x => x * x * x - 2 * x + 1;
+      // antiderivative x⁴/4 - x² + x, from 0 to 2
+      expect(simpson(f, 0, 2)).toBeCloseTo(2, 12);
+    })
+
+    test('converges for smooth functions as intervals are added', () => {
+      const coarse = Math.abs(simpson(Math.sin, 0, Math.PI, 2) - 2);
+      const fine = Math.abs(simpson(Math.sin, 0, Math.PI, 16) - 2);
+      expect(fine).toBeLessThan(1e-4);
+      expect(fine).toBeLessThan(coarse);
+    })
+
+    test('rounds an odd number of intervals up', () => {
+      expect(simpson(Math.exp, 0, 1, 3)).toBe(simpson(Math.exp, 0, 1, 4));
+    })
+  });
+  describe('adaptiveSimpson(f, a, b, [tolerance], [maxDepth])', () => {
+    test('meets the tolerance where the integrand changes quickly', () => {
+      // the derivative of √x is unbounded at 0
+      const result = adaptiveSimpson(Math.sqrt, 0, 1, 1e-8);
+      expect(Math.abs(result - 2 / 3)).toBeLessThan(1e-8);
+    })
+
+    test('is more accurate than a fixed rule with a comparable number of evaluations', () => {
+      let evaluations = 0;
+      const f = x => {
+        evaluations++;
+        return 1 / (1e-4 + x * x);
+      };
+      const exact = 2 * Math.atan(1 / 1e-2) / 1e-2;
+      const adaptive = Math.abs(adaptiveSimpson(f, -1, 1, 1e-3) - exact);
+      const fixed = Math.abs(simpson(f, -1, 1, evaluations) - exact);
+      expect(adaptive).toBeLessThan(fixed);
+    })
+  });
+  describe('gaussLegendre(f, a, b, [order])', () => {
+    test('integrates polynomials of degree up to 2 * order - 1 exactly', () => {
+      const f = x => Math.pow(x, 9) - 3 * Math.pow(x, 4) + 1;
+      // antiderivative x¹⁰/10 - 3x⁵/5 + x, from 0 to 2
+      expect(gaussLegendre(f, 0, 2, 5)).toBeCloseTo(1024 / 10 - 96 / 5 + 2, 10);
+    })
+
+    test('weights of every order add up to the length of the interval', () => {
+      for (const order of [1, 2, 7, 20]) {
+        expect(gaussLegendre(() => 1, 3, 5, order)).toBeCloseTo(2, 12);
+      }
+    })
+
+    test('higher orders are more accurate for smooth functions', () => {
+      const low = Math.abs(gaussLegendre(Math.exp, 0, 4, 2) - (Math.exp(4) - 1));
+      const high = Math.abs(gaussLegendre(Math.exp, 0, 4, 8) - (Math.exp(4) - 1));
+      expect(high).toBeLessThan(1e-9);
+      expect(high).toBeLessThan(low);
+    })
+  });
+});
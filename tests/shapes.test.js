@@ -0,0 +1,1422 @@
+import { describe, expect, test } from 'vitest';
+import { Vector } from '../src/Vector.js';
+import { Color } from '../src/Color.js';
+import * as constants from '../src/constants.js';
+import { simpson, adaptiveSimpson, gaussLegendre } from '../src/quadrature.js';
+import { vec3 } from '../libs/gl-matrix.js';
+import {
+  Shape,
+  LineSegment,
+  BezierSegment,
+  PrimitiveToVerticesConverter,
+  PrimitiveToFramesConverter,
+  PrimitiveToSweepConverter,
+  PointAtLengthGetter,
+  VersionedCache
+} from '../src/shapes.js';
+import { KAPPA, createShape, line, square } from './helpers/shapes.js';
+
+function curvedPath() {
+  const shape = createShape();
+  shape.beginShape();
+  shape.vertex(new Vector(0, 0, 0));
+  shape.vertex(new Vector(10, 0, 0));
+  shape.bezierVertex(new Vector(20, 0, 0));
+  shape.bezierVertex(new Vector(20, 10, 5));
+  shape.bezierVertex(new Vector(10, 10, 10));
+  shape.splineVertex(new Vector(0, 5, 10));
+  shape.splineVertex(new Vector(-10, 0, 5));
+  shape.endShape();
+  return shape;
+}
+
+describe('Shape', () => {
+  describe('PrimitiveToFramesConverter', () => {
+    test('computes one frame per sampled vertex, for lines, Béziers, and splines', () => {
+      const shape = curvedPath();
+      const verticesConverter = new PrimitiveToVerticesConverter({ curveDetail: 0.5 });
+      const framesConverter = new PrimitiveToFramesConverter({ curveDetail: 0.5 });
+      shape.accept(verticesConverter);
+      shape.accept(framesConverter);
+
+      const vertices = verticesConverter.contours[0];
+      const frames = framesConverter.contours[0].frames;
+      expect(frames).toHaveLength(vertices.length);
+      frames.forEach((frame, i) => {
+        expect(frame.position.equals(vertices[i].position)).toBe(true);
+        expect(frame.tangent.dot(frame.normal)).toBeCloseTo(0, 9);
+        expect(frame.normal.mag()).toBeCloseTo(1, 9);
+      });
+    })
+
+    test('uses the initial frame for the start of the path', () => {
+      const shape = curvedPath();
+      const initialFrame = { normal: new Vector(0, 0, -1) };
+      const converter = new PrimitiveToFramesConverter({ initialFrame });
+      shape.accept(converter);
+      const first = converter.contours[0].frames[0];
+      expect(first.normal.approximatelyEquals(new Vector(0, 0, -1))).toBe(true);
+    })
+
+    test('computes frames separately for each path contour', () => {
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.vertex(new Vector(1, 0, 0));
+      shape.beginContour();
+      shape.vertex(new Vector(0, 5, 0));
+      shape.vertex(new Vector(0, 6, 0));
+      shape.vertex(new Vector(0, 7, 0));
+      shape.endContour();
+      shape.endShape();
+
+      const converter = new PrimitiveToFramesConverter();
+      shape.accept(converter);
+      expect(converter.contours.map(contour => contour.frames.length)).toEqual([2, 3]);
+      expect(converter.contours[1].frames[0].tangent.array()).toEqual([0, 1, 0]);
+    })
+
+    test('corrects the holonomy of contours closed with endShape(CLOSE)', () => {
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.bezierVertex(new Vector(10, 0, 10));
+      shape.bezierVertex(new Vector(10, 10, -10));
+      shape.bezierVertex(new Vector(0, 10, 0));
+      shape.bezierVertex(new Vector(-10, 10, 10));
+      shape.bezierVertex(new Vector(-10, 0, -10));
+      shape.bezierVertex(new Vector(0, 0, 0));
+      shape.endShape(constants.CLOSE);
+
+      const converter = new PrimitiveToFramesConverter({ curveDetail: 2 });
+      shape.accept(converter);
+      const { frames, isClosed, holonomyAngle } = converter.contours[0];
+      expect(isClosed).toBe(true);
+      expect(Math.abs(holonomyAngle)).toBeGreaterThan(0.01);
+      expect(frames.at(-1).normal.approximatelyEquals(frames[0].normal, 1e-9)).toBe(true);
+    })
+
+    test('corrects the holonomy of closed splines', () => {
+      const shape = createShape();
+      shape.beginShape();
+      shape.splineVertex(new Vector(0, 0, 0));
+      shape.splineVertex(new Vector(10, 0, 8));
+      shape.splineVertex(new Vector(10, 10, -8));
+      shape.splineVertex(new Vector(0, 10, 8));
+      shape.endShape(constants.CLOSE);
+
+      const converter = new PrimitiveToFramesConverter({ curveDetail: 2 });
+      shape.accept(converter);
+      const { frames, isClosed } = converter.contours[0];
+      expect(isClosed).toBe(true);
+      expect(frames.at(-1).normal.approximatelyEquals(frames[0].normal, 1e-9)).toBe(true);
+    })
+
+    test('leaves open contours uncorrected', () => {
+      const converter = new PrimitiveToFramesConverter();
+      curvedPath().accept(converter);
+      expect(converter.contours[0].isClosed).toBe(false);
+      expect(converter.contours[0].holonomyAngle).toBe(0);
+    })
+
+    test('computes Frenet–Serret frames in FRENET mode, reporting straight segments', () => {
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.vertex(new Vector(10, 0, 0));
+      shape.vertex(new Vector(20, 0, 0));
+      shape.bezierVertex(new Vector(30, 0, 0));
+      shape.bezierVertex(new Vector(30, 10, 0));
+      shape.bezierVertex(new Vector(20, 10, 0));
+      shape.endShape();
+
+      const converter = new PrimitiveToFramesConverter({ mode: constants.FRENET });
+      shape.accept(converter);
+      const { frames, degenerateSpans } = converter.contours[0];
+      expect(degenerateSpans[0]).toEqual({ start: 0, end: 2 });
+      // in the curved part, the normal points toward the inside of the curve
+      const { position, normal } = frames.at(-5);
+      const inside = new Vector(25, 5, 0).sub(position);
+      expect(normal.dot(inside)).toBeGreaterThan(0);
+    })
+
+    test('uses the sweep mode of the shape, with FIXED frames keeping the reference up', () => {
+      const shape = curvedPath();
+      shape.sweepMode(constants.FIXED, new Vector(0, 1, 0));
+      const converter = new PrimitiveToFramesConverter();
+      shape.accept(converter);
+      const { frames, fallbackSpans } = converter.contours[0];
+      expect(fallbackSpans).toEqual(expect.any(Array));
+      for (const frame of frames) {
+        expect(frame.normal.y).toBeCloseTo(0, 9);
+      }
+    })
+
+    test('an explicit mode overrides the sweep mode of the shape', () => {
+      const shape = curvedPath();
+      shape.sweepMode(constants.FIXED);
+      const converter = new PrimitiveToFramesConverter({ mode: constants.FREE });
+      shape.accept(converter);
+      expect(converter.contours[0].holonomyAngle).toBe(0);
+      expect(converter.contours[0].fallbackSpans).toBeUndefined();
+    })
+  });
+  describe('Contour', () => {
+    test('isClosed is true for contours closed with a line or a joined spline', () => {
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.vertex(new Vector(1, 0, 0));
+      shape.vertex(new Vector(1, 1, 0));
+      shape.endContour(constants.CLOSE);
+      shape.beginContour();
+      shape.splineVertex(new Vector(0, 0, 0));
+      shape.splineVertex(new Vector(1, 0, 0));
+      shape.splineVertex(new Vector(1, 1, 0));
+      shape.endContour(constants.CLOSE);
+      shape.beginContour();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.vertex(new Vector(1, 0, 0));
+      shape.endContour();
+      shape.endShape();
+
+      expect(shape.contours.map(contour => contour.isClosed)).toEqual([true, true, false]);
+    })
+  });
+  describe('sweepMode(mode, [reference])', () => {
+    test('FIXED mode defaults to the positive z-axis as the reference', () => {
+      const shape = createShape();
+      shape.sweepMode(constants.FIXED);
+      expect(shape._sweepProperties.reference.array()).toEqual([0, 0, 1]);
+    })
+
+    test('keeps its own copy of the reference', () => {
+      const shape = curvedPath();
+      const reference = new Vector(0, 1, 0);
+      shape.sweepMode(constants.FIXED, reference);
+      const before = shape.getFrameAtLength(5).normal;
+      reference.x = 1;
+      reference.y = 0;
+      expect(shape._sweepProperties.reference.array()).toEqual([0, 1, 0]);
+      expect(shape.getFrameAtLength(5).normal.equals(before)).toBe(true);
+    })
+
+    test('reset() restores the default sweep mode and slice', () => {
+      const shape = curvedPath();
+      shape.sweepMode(constants.FRENET);
+      shape.sweepSlice({ shape: constants.CIRCLE, radius: 2 });
+      shape.reset();
+      expect(shape._sweepProperties).toEqual({ mode: constants.FREE, reference: null, slice: null });
+    })
+  });
+  describe('analytic derivatives', () => {
+    function bezierShape(order, ...positions) {
+      const shape = createShape();
+      shape.beginShape();
+      shape.bezierOrder(order);
+      shape.vertex(positions[0]);
+      for (const position of positions.slice(1)) {
+        shape.bezierVertex(position);
+      }
+      shape.endShape();
+      return shape;
+    }
+
+    test('derivatives of a cubic Bézier match finite differences', () => {
+      const shape = createShape();
+      const controls = [[0, 0, 0], [1, 2, 0], [3, 2, 1], [4, 0, 2]];
+      const h = 1e-6;
+      const t = 0.3;
+      const derivative = shape.evaluateCubicBezierDerivative(controls, t);
+      const difference = shape.arrayScale(shape.arrayMinus(
+        shape.evaluateCubicBezier(controls, t + h),
+        shape.evaluateCubicBezier(controls, t - h)
+      ), 1 / (2 * h));
+      derivative.forEach((value, i) => expect(value).toBeCloseTo(difference[i], 6));
+
+      const second = shape.evaluateCubicBezierSecondDerivative(controls, t);
+      const secondDifference = shape.arrayScale(shape.arrayMinus(
+        shape.evaluateCubicBezierDerivative(controls, t + h),
+        shape.evaluateCubicBezierDerivative(controls, t - h)
+      ), 1 / (2 * h));
+      second.forEach((value, i) => expect(value).toBeCloseTo(secondDifference[i], 5));
+    })
+
+    test('curvature of the quadratic Bézier y = x² is 2 at its vertex', () => {
+      const shape = bezierShape(2, new Vector(-1, 1, 0), new Vector(0, -1, 0), new Vector(1, 1, 0));
+      const segment = shape.at(0, 1);
+      expect(segment.getCurvatureAt(0.5)).toBeCloseTo(2, 9);
+      expect(segment.getTangentAt(0.5).array()).toEqual([1, 0, 0]);
+    })
+
+    test('tangents at endpoints with coincident control points are the limits of nearby tangents', () => {
+      const shape = bezierShape(3,
+        new Vector(0, 0, 0),
+        new Vector(0, 0, 0),
+        new Vector(10, 10, 0),
+        new Vector(10, 10, 0)
+      );
+      const segment = shape.at(0, 1);
+      const diagonal = new Vector(Math.SQRT1_2, Math.SQRT1_2, 0);
+      expect(segment.getTangentAt(0).approximatelyEquals(diagonal, 1e-9)).toBe(true);
+      expect(segment.getTangentAt(1).approximatelyEquals(diagonal, 1e-9)).toBe(true);
+      expect(Number.isFinite(segment.getCurvatureAt(0))).toBe(true);
+    })
+
+    test('a segment whose points all coincide has no tangent', () => {
+      const point = new Vector(1, 1, 1);
+      const shape = bezierShape(3, point, point, point, point);
+      expect(shape.at(0, 1).getTangentAt(0.5)).toBeNull();
+    })
+
+    test('spline tangents come from its Bézier pieces and are continuous across them', () => {
+      const shape = createShape();
+      shape.beginShape();
+      shape.splineVertex(new Vector(0, 0, 0));
+      shape.splineVertex(new Vector(10, 0, 0));
+      shape.splineVertex(new Vector(10, 10, 0));
+      shape.splineVertex(new Vector(0, 10, 0));
+      shape.endShape();
+
+      const spline = shape.at(0, 1);
+      const pieceCount = spline.getBezierPieces().length;
+      const join = 1 / pieceCount;
+      const before = spline.getTangentAt(join - 1e-9);
+      const after = spline.getTangentAt(join);
+      expect(before.approximatelyEquals(after, 1e-6)).toBe(true);
+
+      const [, derivative] = spline.getDerivativesAt(0.4);
+      expect(derivative.copy().normalize().approximatelyEquals(spline.getTangentAt(0.4), 1e-12)).toBe(true);
+    })
+
+    test('frames use analytic tangents, even with a coarse curveDetail', () => {
+      const shape = bezierShape(3,
+        new Vector(0, 0, 0),
+        new Vector(0, 10, 0),
+        new Vector(10, 10, 0),
+        new Vector(10, 0, 0)
+      );
+      const converter = new PrimitiveToFramesConverter({ curveDetail: 0.1 });
+      shape.accept(converter);
+      const { frames } = converter.contours[0];
+      const segment = shape.at(0, 1);
+      frames.slice(1, -1).forEach((frame, i) => {
+        const t = (i + 1) / (frames.length - 1);
+        expect(frame.tangent.approximatelyEquals(segment.getTangentAt(t), 1e-12)).toBe(true);
+      });
+      expect(frames[0].tangent.array()).toEqual([0, 1, 0]);
+    })
+  });
+  describe('getTotalLength(), getPointAtLength(length)', () => {
+    function polylineLengthOf(shape, curveDetail) {
+      const converter = new PrimitiveToVerticesConverter({ curveDetail });
+      shape.accept(converter);
+      let length = 0;
+      for (const vertices of converter.contours) {
+        for (let i = 1; i < vertices.length; i++) {
+          length += vertices[i].position.dist(vertices[i - 1].position);
+        }
+      }
+      return length;
+    }
+
+    test('lengths along a polyline are exact, including at its corners', () => {
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.vertex(new Vector(3, 4, 0));
+      shape.vertex(new Vector(3, 4, 10));
+      shape.endShape();
+
+      expect(shape.getTotalLength()).toBe(15);
+      expect(shape.getPointAtLength(5).array()).toEqual([3, 4, 0]);
+      expect(shape.getPointAtLength(10).array()).toEqual([3, 4, 5]);
+      expect(shape.getPointAtLength(2.5).approximatelyEquals(new Vector(1.5, 2, 0), 1e-12)).toBe(true);
+    })
+
+    test('getTotalLength(contoursIndex) measures a single contour', () => {
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.vertex(new Vector(3, 4, 0));
+      shape.beginContour();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.vertex(new Vector(0, 2, 0));
+      shape.endContour();
+      shape.endShape();
+
+      expect(shape.getTotalLength(0)).toBe(5);
+      expect(shape.getTotalLength(1)).toBe(2);
+      expect(shape.getTotalLength(2)).toBe(0);
+    })
+
+    test('lengths outside the path are clamped to its ends', () => {
+      const shape = curvedPath();
+      expect(shape.getPointAtLength(-1).equals(new Vector(0, 0, 0))).toBe(true);
+      expect(shape.getPointAtLength(1e6).equals(new Vector(-10, 0, 5))).toBe(true);
+    })
+
+    test('the length of curved paths matches a finely sampled polyline', () => {
+      const shape = curvedPath();
+      expect(shape.getTotalLength()).toBeCloseTo(polylineLengthOf(shape, 50), 2);
+    })
+
+    test('points are evenly spaced by length, even where the parameter is not', () => {
+      // a straight cubic Bézier whose control points bunch up near its start
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.bezierVertex(new Vector(1, 0, 0));
+      shape.bezierVertex(new Vector(2, 0, 0));
+      shape.bezierVertex(new Vector(10, 0, 0));
+      shape.endShape();
+
+      expect(shape.getTotalLength()).toBeCloseTo(10, 9);
+      for (const length of [1, 2.5, 5, 7.5]) {
+        expect(shape.getPointAtLength(length).x).toBeCloseTo(length, 2);
+      }
+    })
+
+    test('lengths continue from one path contour to the next', () => {
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.vertex(new Vector(2, 0, 0));
+      shape.beginContour();
+      shape.vertex(new Vector(0, 10, 0));
+      shape.vertex(new Vector(0, 13, 0));
+      shape.endContour();
+      shape.endShape();
+
+      expect(shape.getTotalLength()).toBe(5);
+      expect(shape.getPointAtLength(1).array()).toEqual([1, 0, 0]);
+      expect(shape.getPointAtLength(3).array()).toEqual([0, 11, 0]);
+    })
+
+    test('the length is rebuilt when the shape changes', () => {
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.vertex(new Vector(1, 0, 0));
+      expect(shape.getTotalLength()).toBe(1);
+      shape.vertex(new Vector(1, 1, 0));
+      expect(shape.getTotalLength()).toBe(2);
+    })
+
+    test('a shape without paths has no length and no points', () => {
+      const shape = createShape();
+      expect(shape.getTotalLength()).toBe(0);
+      expect(shape.getPointAtLength(0)).toBeNull();
+    })
+  });
+  describe('getLocationAtLength(length)', () => {
+    // length from the start of a cubic Bézier segment to parameter t, by brute force
+    function referenceLength(segment, t) {
+      const speed = u => segment.getDerivativesAt(u)[1].mag();
+      return simpson(speed, 0, t, 2000);
+    }
+
+    function sCurve() {
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.bezierVertex(new Vector(30, 80, 0));
+      shape.bezierVertex(new Vector(60, -80, 0));
+      shape.bezierVertex(new Vector(90, 0, 0));
+      shape.endShape();
+      return shape;
+    }
+
+    test('refines the parameter to within the default tolerance', () => {
+      const shape = sCurve();
+      const segment = shape.at(0, 1);
+      for (const length of [10, 50, 75.5, 110]) {
+        const location = shape.getLocationAtLength(length);
+        expect(location.error).toBeLessThanOrEqual(constants.TOLERANCE);
+        expect(Math.abs(referenceLength(segment, location.t) - length)).toBeLessThan(constants.TOLERANCE);
+        expect(location.iterations).toBeGreaterThanOrEqual(0);
+      }
+    })
+
+    test('a custom tolerance is met, and takes more iterations', () => {
+      const shape = sCurve();
+      const loose = shape.getLocationAtLength(75.5);
+      shape.arcLengthProperty('tolerance', 1e-10);
+      const tight = shape.getLocationAtLength(75.5);
+      expect(tight.error).toBeLessThanOrEqual(1e-10);
+      expect(tight.iterations).toBeGreaterThanOrEqual(loose.iterations);
+    })
+
+    test('falls back to bisection where the speed vanishes', () => {
+      // all the control points at the start coincide, so the speed is zero there
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.bezierVertex(new Vector(0, 0, 0));
+      shape.bezierVertex(new Vector(0, 0, 0));
+      shape.bezierVertex(new Vector(10, 0, 0));
+      shape.endShape();
+      shape.arcLengthProperty('tolerance', 1e-9);
+
+      const location = shape.getLocationAtLength(1e-4);
+      expect(location.error).toBeLessThanOrEqual(1e-9);
+      expect(shape.getPointAtLength(1e-4).x).toBeCloseTo(1e-4, 8);
+    })
+
+    test('locations along line segments are exact, without iterations', () => {
+      const shape = curvedPath();
+      const location = shape.getLocationAtLength(4);
+      expect(location).toEqual({
+        contoursIndex: 0,
+        primitivesIndex: 1,
+        pieceIndex: 0,
+        t: 0.4,
+        length: 4,
+        error: 0,
+        iterations: 0
+      });
+    })
+  });
+  describe('getLocationAtPoint(point), getLengthAtPoint(point)', () => {
+    test('projects onto a line segment exactly', () => {
+      const shape = curvedPath();
+      const location = shape.getLocationAtPoint(new Vector(4, 3, 0));
+      expect(location.primitivesIndex).toBe(1);
+      expect(location.t).toBeCloseTo(0.4, 12);
+      expect(location.length).toBeCloseTo(4, 12);
+      expect(location.distance).toBeCloseTo(3, 12);
+      expect(location.position.approximatelyEquals(new Vector(4, 0, 0), 1e-12)).toBe(true);
+    })
+
+    test('inverts getPointAtLength() for points on the path', () => {
+      const shape = curvedPath();
+      for (const length of [2, 13, 21, 27, 38]) {
+        const point = shape.getPointAtLength(length);
+        expect(shape.getLengthAtPoint(point)).toBeCloseTo(length, 2);
+        expect(shape.getLocationAtPoint(point).distance).toBeLessThan(1e-6);
+      }
+    })
+
+    test('finds the closest point on a curve, where the offset is perpendicular to it', () => {
+      const shape = curvedPath();
+      const point = new Vector(22, 6, 0);
+      const { contoursIndex, primitivesIndex, pieceIndex, t, position, distance } =
+        shape.getLocationAtPoint(point);
+      expect([contoursIndex, primitivesIndex, pieceIndex]).toEqual([0, 2, 0]);
+
+      const segment = shape.at(contoursIndex, primitivesIndex);
+      const [, velocity] = segment.getDerivativesAt(t);
+      expect(position.copy().sub(point).dot(velocity.normalize())).toBeCloseTo(0, 6);
+
+      // no densely sampled point on the curve is closer
+      for (let i = 0; i <= 1000; i++) {
+        const [sample] = segment.getDerivativesAt(i / 1000);
+        expect(sample.dist(point)).toBeGreaterThanOrEqual(distance - 1e-9);
+      }
+    })
+
+    test('searches every contour', () => {
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.vertex(new Vector(10, 0, 0));
+      shape.beginContour();
+      shape.splineVertex(new Vector(0, 10, 0));
+      shape.splineVertex(new Vector(5, 12, 0));
+      shape.splineVertex(new Vector(10, 10, 0));
+      shape.endContour();
+      shape.endShape();
+
+      const location = shape.getLocationAtPoint(new Vector(5, 13, 0));
+      expect(location.contoursIndex).toBe(1);
+      expect(location.length).toBeGreaterThan(10);
+      expect(location.distance).toBeCloseTo(1, 6);
+    })
+
+    test('returns null for a shape without path segments', () => {
+      const shape = createShape();
+      expect(shape.getLocationAtPoint(new Vector(0, 0, 0))).toBeNull();
+      expect(shape.getLengthAtPoint(new Vector(0, 0, 0))).toBeNull();
+    })
+  });
+  describe('resample({count, spacing})', () => {
+    function verticesOf(shape) {
+      const converter = new PrimitiveToVerticesConverter();
+      shape.accept(converter);
+      return converter.contours;
+    }
+
+    test('places the given number of vertices evenly along an open path, including its ends', () => {
+      const shape = curvedPath();
+      const total = shape.getTotalLength();
+      const [vertices] = verticesOf(shape.resample({ count: 21 }));
+      expect(vertices).toHaveLength(21);
+      vertices.forEach((vertex, k) => {
+        expect(shape.getLengthAtPoint(vertex.position)).toBeCloseTo(total * k / 20, 2);
+      });
+    })
+
+    test('adjusts a spacing so that it divides the path evenly', () => {
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.vertex(new Vector(10, 0, 0));
+      shape.endShape();
+      const [vertices] = verticesOf(shape.resample({ spacing: 3 }));
+      expect(vertices).toHaveLength(4);
+      vertices.forEach((vertex, k) => expect(vertex.position.x).toBeCloseTo(10 * k / 3, 12));
+    })
+
+    test('closes closed contours without repeating the first vertex', () => {
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.vertex(new Vector(4, 0, 0));
+      shape.vertex(new Vector(4, 4, 0));
+      shape.vertex(new Vector(0, 4, 0));
+      shape.endShape(constants.CLOSE);
+
+      const resampled = shape.resample({ count: 8 });
+      const [vertices] = verticesOf(resampled);
+      // eight vertices, followed by the vertex that closes the contour
+      expect(vertices).toHaveLength(9);
+      expect(vertices.at(-1).position.equals(vertices[0].position)).toBe(true);
+      expect(vertices[1].position.approximatelyEquals(new Vector(2, 0, 0), 1e-12)).toBe(true);
+      expect(resampled.getTotalLength()).toBeCloseTo(16, 12);
+    })
+
+    test('interpolates the other vertex properties', () => {
+      const shape = new Shape({
+        position: new Vector(0, 0, 0),
+        fill: new Color([0, 0, 0, 255])
+      });
+      shape.beginShape();
+      shape.vertexProperty('weight', 0);
+      shape.vertex(new Vector(0, 0, 0));
+      shape.fill(new Color([255, 0, 100, 255]));
+      shape.vertexProperty('weight', 8);
+      shape.vertex(new Vector(30, 0, 0));
+      shape.endShape();
+
+      const [vertices] = verticesOf(shape.resample({ count: 5 }));
+      const middle = vertices[2];
+      expect(middle.position.approximatelyEquals(new Vector(15, 0, 0), 1e-12)).toBe(true);
+      expect(middle.fill).toBeInstanceOf(Color);
+      expect(middle.fill.array()[0]).toBeCloseTo(127.5, 1);
+      expect(middle.fill.array()[2]).toBeCloseTo(50, 1);
+      expect(middle.weightSrc[0]).toBeCloseTo(4, 3);
+    })
+
+    test('resamples each path contour separately', () => {
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.vertex(new Vector(10, 0, 0));
+      shape.beginContour();
+      shape.vertex(new Vector(0, 5, 0));
+      shape.vertex(new Vector(0, 15, 0));
+      shape.endContour();
+      shape.endShape();
+
+      const contours = verticesOf(shape.resample({ count: 3 }));
+      expect(contours.map(vertices => vertices.map(vertex => vertex.position.array()))).toEqual([
+        [[0, 0, 0], [5, 0, 0], [10, 0, 0]],
+        [[0, 5, 0], [0, 10, 0], [0, 15, 0]]
+      ]);
+    })
+
+    test('requires a count or a spacing', () => {
+      expect(() => curvedPath().resample()).toThrow();
+    })
+
+    test('rejects spacings that aren\'t positive and finite', () => {
+      for (const spacing of [0, -1, NaN, Infinity]) {
+        expect(() => curvedPath().resample({ spacing })).toThrow();
+      }
+    })
+
+    test('rejects counts that aren\'t positive integers', () => {
+      for (const count of [0, -2, 2.5, NaN, Infinity]) {
+        expect(() => curvedPath().resample({ count })).toThrow();
+      }
+    })
+
+    test('needs at least 2 vertices for an open contour and 3 for a closed one', () => {
+      expect(() => line(10).resample({ count: 1 })).toThrow();
+      expect(verticesOf(line(10).resample({ count: 2 }))[0]).toHaveLength(2);
+
+      expect(() => square(4).resample({ count: 2 })).toThrow();
+      const [triangle] = verticesOf(square(4).resample({ count: 3 }));
+      // three vertices, followed by the vertex that closes the contour
+      expect(triangle).toHaveLength(4);
+      expect(verticesOf(square(4).resample({ spacing: 100 }))[0]).toHaveLength(4);
+    })
+  });
+  describe('splitBezier(controls, t)', () => {
+    test('splits a cubic Bézier curve into two curves that trace it exactly', () => {
+      const shape = createShape();
+      const controls = [[0, 0, 0], [10, 0, 0], [20, 10, 5], [10, 10, 10]];
+      const [before, after] = shape.splitBezier(controls, 0.3);
+      expect(before).toHaveLength(4);
+      expect(after).toHaveLength(4);
+      for (const u of [0, 0.25, 0.5, 1]) {
+        const expectedBefore = new Vector(...shape.evaluateCubicBezier(controls, 0.3 * u));
+        const expectedAfter = new Vector(...shape.evaluateCubicBezier(controls, 0.3 + 0.7 * u));
+        expect(new Vector(...shape.evaluateCubicBezier(before, u)).approximatelyEquals(expectedBefore, 1e-12)).toBe(true);
+        expect(new Vector(...shape.evaluateCubicBezier(after, u)).approximatelyEquals(expectedAfter, 1e-12)).toBe(true);
+      }
+    })
+  });
+  describe('getSubShape(startLength, endLength)', () => {
+    test('trims line segments', () => {
+      const shape = curvedPath();
+      const sub = shape.getSubShape(3, 7);
+      expect(sub.at(0, 1)).toBeInstanceOf(LineSegment);
+      expect(sub.at(0, 0, 0).position.array()).toEqual([3, 0, 0]);
+      expect(sub.at(0, 1, 0).position.array()).toEqual([7, 0, 0]);
+    })
+
+    test('splits Bézier and spline segments exactly, into Bézier segments', () => {
+      const shape = curvedPath();
+      const sub = shape.getSubShape(12, 36);
+      const primitives = sub.at(0).primitives;
+      expect(primitives.slice(1).every(primitive => primitive instanceof BezierSegment)).toBe(true);
+      expect(primitives.at(1).order).toBe(3);
+
+      expect(sub.getTotalLength()).toBeCloseTo(24, 2);
+      for (const length of [0, 5, 11, 17, 24]) {
+        const expected = shape.getPointAtLength(12 + length);
+        expect(sub.getPointAtLength(length).approximatelyEquals(expected, 0.01)).toBe(true);
+      }
+    })
+
+    test('splits quadratic Bézier segments into quadratic segments', () => {
+      const shape = createShape();
+      shape.beginShape();
+      shape.bezierOrder(2);
+      shape.vertex(new Vector(0, 0, 0));
+      shape.bezierVertex(new Vector(10, 10, 0));
+      shape.bezierVertex(new Vector(20, 0, 0));
+      shape.endShape();
+
+      const half = shape.getTotalLength() / 2;
+      const sub = shape.getSubShape(half, 2 * half);
+      expect(sub.at(0, 1).order).toBe(2);
+      expect(sub.at(0, 0, 0).position.approximatelyEquals(new Vector(10, 5, 0), 1e-6)).toBe(true);
+      expect(sub.at(0, 1, 1).position.approximatelyEquals(new Vector(20, 0, 0), 1e-12)).toBe(true);
+    })
+
+    test('splits the other vertex properties in the same way as positions', () => {
+      const shape = new Shape({
+        position: new Vector(0, 0, 0),
+        fill: new Color([0, 0, 0, 255])
+      });
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.fill(new Color([200, 0, 0, 255]));
+      shape.vertex(new Vector(10, 0, 0));
+      shape.endShape();
+
+      const sub = shape.getSubShape(5, 10);
+      expect(sub.at(0, 0, 0).fill.array()[0]).toBeCloseTo(100, 12);
+      expect(sub.at(0, 1, 0).fill.array()[0]).toBeCloseTo(200, 12);
+    })
+
+    test('covers several contours, and keeps whole closed contours closed', () => {
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.vertex(new Vector(4, 0, 0));
+      shape.vertex(new Vector(4, 4, 0));
+      shape.endContour(constants.CLOSE);
+      shape.beginContour();
+      shape.vertex(new Vector(0, 10, 0));
+      shape.vertex(new Vector(10, 10, 0));
+      shape.endContour();
+      shape.endShape();
+
+      const perimeter = 8 + Math.hypot(4, 4);
+      const sub = shape.getSubShape(0, perimeter + 5);
+      expect(sub.contours).toHaveLength(2);
+      expect(sub.at(0, -1).isClosing).toBe(true);
+      expect(sub.at(1, -1, 0).position.array()).toEqual([5, 10, 0]);
+    })
+
+    test('copies a whole closed contour without doubling its closing line', () => {
+      const shape = square(4);
+
+      const sub = shape.getSubShape(0, shape.getTotalLength());
+      expect(sub.contours[0].primitives).toHaveLength(shape.contours[0].primitives.length);
+      expect(sub.contours[0].isClosed).toBe(true);
+      expect(sub.getTotalLength()).toBeCloseTo(shape.getTotalLength(), 12);
+    })
+
+    test('copies a whole closed spline without adding a closing line', () => {
+      const shape = createShape();
+      shape.beginShape();
+      for (const [x, y] of [[0, 0], [4, 0], [4, 4], [0, 4]]) {
+        shape.splineVertex(new Vector(x, y, 0));
+      }
+      shape.endShape(constants.CLOSE);
+
+      const sub = shape.getSubShape(0, shape.getTotalLength());
+      const [anchor, ...segments] = sub.contours[0].primitives;
+      expect(segments).toHaveLength(4);
+      expect(segments.every(segment => segment instanceof BezierSegment)).toBe(true);
+      const start = anchor.getEndVertex().position;
+      expect(segments.at(-1).getEndVertex().position.approximatelyEquals(start)).toBe(true);
+      expect(sub.getTotalLength()).toBeCloseTo(shape.getTotalLength(), 6);
+    })
+
+    test('is empty if the range is empty', () => {
+      const shape = curvedPath();
+      expect(shape.getSubShape(10, 10).contours).toHaveLength(0);
+      expect(shape.getSubShape(12, 8).getTotalLength()).toBe(0);
+    })
+  });
+  describe('getDashIntervals(pattern, [offset]), dash(pattern, [offset])', () => {
+    const spans = intervals => intervals.map(({ start, end }) => [start, end]);
+
+    test('alternates dashes and gaps, clipping the last dash', () => {
+      expect(spans(line(10).getDashIntervals([2, 1]))).toEqual([[0, 2], [3, 5], [6, 8], [9, 10]]);
+    })
+
+    test('shifts the pattern backward by the offset', () => {
+      expect(spans(line(10).getDashIntervals([2, 1], 1))).toEqual([[0, 1], [2, 4], [5, 7], [8, 10]]);
+      expect(spans(line(10).getDashIntervals([2, 1], -1))).toEqual([[1, 3], [4, 6], [7, 9]]);
+    })
+
+    test('repeats a pattern with an odd number of lengths', () => {
+      expect(spans(line(10).getDashIntervals([3]))).toEqual([[0, 3], [6, 9]]);
+    })
+
+    test('treats a pattern of zeros as a solid line, and rejects negative lengths', () => {
+      expect(spans(line(10).getDashIntervals([0, 0]))).toEqual([[0, 10]]);
+      expect(() => line(10).getDashIntervals([2, -1])).toThrow();
+    })
+
+    test('wraps a dash across the seam of a closed contour', () => {
+      const shape = square(4);
+      expect(spans(shape.getDashIntervals([3, 1], 2))).toEqual([[2, 5], [6, 9], [10, 13], [14, 17]]);
+
+      const converter = new PrimitiveToVerticesConverter();
+      shape.dash([3, 1], 2).accept(converter);
+      expect(converter.contours).toHaveLength(4);
+      expect(converter.contours[3].map(vertex => vertex.position.array())).toEqual([
+        [0, 2, 0], [0, 0, 0], [1, 0, 0]
+      ]);
+    })
+
+    test('dashes follow their paths through corners', () => {
+      const converter = new PrimitiveToVerticesConverter();
+      square(4).dash([6, 2]).accept(converter);
+      expect(converter.contours[0].map(vertex => vertex.position.array())).toEqual([
+        [0, 0, 0], [4, 0, 0], [4, 2, 0]
+      ]);
+    })
+
+    test('dashes along curves lie on the curves and have the dash lengths', () => {
+      const shape = curvedPath();
+      const dashes = shape.dash([5, 2.5]);
+      const converter = new PrimitiveToVerticesConverter();
+      dashes.accept(converter);
+      for (const vertices of converter.contours) {
+        for (const vertex of vertices) {
+          expect(shape.getLocationAtPoint(vertex.position).distance).toBeLessThan(1e-6);
+        }
+      }
+      // the first dash, as a polyline through the LUT samples
+      let length = 0;
+      const [first] = converter.contours;
+      for (let i = 1; i < first.length; i++) {
+        length += first[i].position.dist(first[i - 1].position);
+      }
+      expect(length).toBeCloseTo(5, 2);
+    })
+  });
+  describe('getFrameAtLength(length)', () => {
+    function expectOrthonormal({ tangent, normal, binormal }) {
+      expect(tangent.mag()).toBeCloseTo(1, 9);
+      expect(normal.mag()).toBeCloseTo(1, 9);
+      expect(tangent.dot(normal)).toBeCloseTo(0, 9);
+      expect(tangent.cross(normal).approximatelyEquals(binormal, 1e-9)).toBe(true);
+    }
+
+    test('has the exact position and tangent at the length, with an orthonormal frame', () => {
+      const shape = curvedPath();
+      const length = 0.6 * shape.getTotalLength();
+      const frame = shape.getFrameAtLength(length);
+      const location = shape.getLocationAtLength(length);
+      const segment = shape.at(0, location.primitivesIndex);
+      const controls = segment.getBezierPieces()[location.pieceIndex];
+
+      expect(frame.position.approximatelyEquals(shape.getPointAtLength(length), 1e-12)).toBe(true);
+      expect(frame.tangent.approximatelyEquals(segment._pieceTangentAt(controls, location.t), 1e-12)).toBe(true);
+      expectOrthonormal(frame);
+    })
+
+    test('agrees with the sampled frames at the ends of the path', () => {
+      const shape = curvedPath();
+      const converter = new PrimitiveToFramesConverter();
+      shape.accept(converter);
+      const { frames } = converter.contours[0];
+
+      const first = shape.getFrameAtLength(0);
+      const last = shape.getFrameAtLength(shape.getTotalLength());
+      expect(first.normal.approximatelyEquals(frames[0].normal, 1e-9)).toBe(true);
+      expect(last.normal.approximatelyEquals(frames.at(-1).normal, 1e-6)).toBe(true);
+    })
+
+    // smooth at every join, including the seam
+    function smoothLoop() {
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.bezierVertex(new Vector(10, 0, 10));
+      shape.bezierVertex(new Vector(10, 10, -10));
+      shape.bezierVertex(new Vector(0, 10, 0));
+      shape.bezierVertex(new Vector(-10, 10, 10));
+      shape.bezierVertex(new Vector(-10, 0, -10));
+      shape.bezierVertex(new Vector(0, 0, 0));
+      shape.endShape(constants.CLOSE);
+      return shape;
+    }
+
+    test('changes continuously with length', () => {
+      const shape = smoothLoop();
+      const total = shape.getTotalLength();
+      let previous = shape.getFrameAtLength(0);
+      for (let i = 1; i <= 200; i++) {
+        const frame = shape.getFrameAtLength(total * i / 200);
+        expect(frame.normal.dist(previous.normal)).toBeLessThan(0.1);
+        previous = frame;
+      }
+    })
+
+    test('returns to the starting frame around a closed contour', () => {
+      const shape = smoothLoop();
+      const first = shape.getFrameAtLength(0);
+      const last = shape.getFrameAtLength(shape.getTotalLength());
+      expect(last.position.approximatelyEquals(first.position, 1e-9)).toBe(true);
+      expect(last.normal.approximatelyEquals(first.normal, 1e-6)).toBe(true);
+    })
+
+    test('follows the sweep mode of the shape', () => {
+      const shape = smoothLoop();
+      shape.getFrameAtLength(1);
+      shape.sweepMode(constants.FIXED, new Vector(0, 0, 1));
+      const total = shape.getTotalLength();
+      for (const fraction of [0.1, 0.45, 0.8]) {
+        expect(shape.getFrameAtLength(fraction * total).normal.z).toBeCloseTo(0, 9);
+      }
+    })
+
+    test('gives a column-major mat4 mapping the local axes onto the frame', () => {
+      const shape = curvedPath();
+      const { position, tangent, normal, binormal, matrix } = shape.getFrameAtLength(25);
+      expect(matrix).toBeInstanceOf(Float32Array);
+      expect(matrix).toHaveLength(16);
+
+      const transform = point => {
+        const result = vec3.transformMat4(vec3.create(), point, matrix);
+        return new Vector(...result);
+      };
+      expect(transform([0, 0, 0]).approximatelyEquals(position, 1e-4)).toBe(true);
+      expect(transform([1, 0, 0]).sub(position).approximatelyEquals(normal, 1e-4)).toBe(true);
+      expect(transform([0, 1, 0]).sub(position).approximatelyEquals(binormal, 1e-4)).toBe(true);
+      expect(transform([0, 0, 1]).sub(position).approximatelyEquals(tangent, 1e-4)).toBe(true);
+    })
+
+    test('returns null for a shape without path segments', () => {
+      expect(createShape().getFrameAtLength(0)).toBeNull();
+    })
+  });
+  describe('getCurvatureAtLength(length), getTorsionAtLength(length), ...', () => {
+    // a quarter circle of radius 10 from (10, 0) to (0, 10), or the other way around, whose
+    // Bézier approximation has a curvature within 3% of 0.1
+    function quarterCircle(clockwise = false) {
+      const k = KAPPA * 10;
+      const points = [[10, 0], [10, k], [k, 10], [0, 10]];
+      if (clockwise) points.reverse();
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(...points[0], 0));
+      for (const point of points.slice(1)) {
+        shape.bezierVertex(new Vector(...point, 0));
+      }
+      shape.endShape();
+      return shape;
+    }
+
+    // the twisted cubic (t, t², t³), for t in [0, 1]
+    function twistedCubic() {
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.bezierVertex(new Vector(1 / 3, 0, 0));
+      shape.bezierVertex(new Vector(2 / 3, 1 / 3, 0));
+      shape.bezierVertex(new Vector(1, 1, 1));
+      shape.endShape();
+      return shape;
+    }
+
+    test('gives the reciprocal of the radius along a circular arc', () => {
+      const shape = quarterCircle();
+      const total = shape.getTotalLength();
+      for (const fraction of [0, 0.3, 0.5, 1]) {
+        expect(shape.getCurvatureAtLength(fraction * total)).toBeCloseTo(0.1, 2);
+      }
+    })
+
+    test('signs the curvature by the direction of turning in the xy-plane', () => {
+      expect(quarterCircle().getSignedCurvatureAtLength(5)).toBeCloseTo(0.1, 2);
+      expect(quarterCircle(true).getSignedCurvatureAtLength(5)).toBeCloseTo(-0.1, 2);
+    })
+
+    test('gives no curvature or torsion along a line', () => {
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.vertex(new Vector(3, 4, 0));
+      shape.endShape();
+      expect(shape.getCurvatureAtLength(2)).toBe(0);
+      expect(shape.getSignedCurvatureAtLength(2)).toBe(0);
+      expect(shape.getTorsionAtLength(2)).toBe(0);
+    })
+
+    test('gives no torsion along a planar path', () => {
+      const shape = quarterCircle();
+      expect(shape.getTorsionAtLength(5)).toBeCloseTo(0, 12);
+    })
+
+    test('matches the exact curvature and torsion of a twisted cubic', () => {
+      const shape = twistedCubic();
+      // at t = 0: r' = (1, 0, 0), r'' = (0, 2, 0), r''' = (0, 0, 6)
+      expect(shape.getCurvatureAtLength(0)).toBeCloseTo(2, 9);
+      expect(shape.getTorsionAtLength(0)).toBeCloseTo(3, 9);
+      // at t = 1: r' = (1, 2, 3), r'' = (0, 2, 6), r' × r'' = (6, -6, 2)
+      const total = shape.getTotalLength();
+      expect(shape.getCurvatureAtLength(total)).toBeCloseTo(Math.sqrt(76) / Math.pow(14, 1.5), 9);
+      expect(shape.getTorsionAtLength(total)).toBeCloseTo(12 / 76, 9);
+    })
+
+    test('gives the parametric speed of the piece', () => {
+      const line = createShape();
+      line.beginShape();
+      line.vertex(new Vector(0, 0, 0));
+      line.vertex(new Vector(3, 4, 0));
+      line.endShape();
+      expect(line.getSpeedAtLength(1)).toBeCloseTo(5, 12);
+
+      const shape = twistedCubic();
+      expect(shape.getSpeedAtLength(0)).toBeCloseTo(1, 9);
+      expect(shape.getSpeedAtLength(shape.getTotalLength())).toBeCloseTo(Math.sqrt(14), 9);
+    })
+
+    test('samples the curvature at evenly spaced lengths', () => {
+      const shape = quarterCircle();
+      const total = shape.getTotalLength();
+      const plot = shape.getCurvaturePlot(0, 5);
+      expect(plot).toHaveLength(5);
+      plot.forEach(({ length, curvature, signedCurvature }, k) => {
+        expect(length).toBeCloseTo(total * k / 4, 9);
+        expect(curvature).toBeCloseTo(0.1, 2);
+        expect(signedCurvature).toBeCloseTo(curvature, 9);
+      });
+    })
+
+    test('returns null, or an empty plot, for a shape without path segments', () => {
+      const shape = createShape();
+      expect(shape.getCurvatureAtLength(0)).toBeNull();
+      expect(shape.getSignedCurvatureAtLength(0)).toBeNull();
+      expect(shape.getTorsionAtLength(0)).toBeNull();
+      expect(shape.getSpeedAtLength(0)).toBeNull();
+      expect(shape.getCurvaturePlot(0)).toEqual([]);
+    })
+  });
+  describe('markChanged([contoursIndex], [primitivesIndex]), setVertex(...)', () => {
+    // two closed contours: a square, and a Bézier teardrop
+    function twoContours() {
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.vertex(new Vector(10, 0, 0));
+      shape.vertex(new Vector(10, 10, 0));
+      shape.vertex(new Vector(0, 10, 0));
+      shape.endContour(constants.CLOSE);
+      shape.beginContour();
+      shape.vertex(new Vector(20, 0, 0));
+      shape.bezierVertex(new Vector(30, 0, 0));
+      shape.bezierVertex(new Vector(30, 10, 0));
+      shape.bezierVertex(new Vector(20, 10, 0));
+      shape.endContour(constants.CLOSE);
+      shape.endShape();
+      return shape;
+    }
+
+    test('updates lengths, points, and frames after a vertex is set', () => {
+      const shape = twoContours();
+      expect(shape.getTotalLength(0)).toBe(40);
+      shape.getFrameAtLength(5, 0);
+
+      shape.setVertex(0, 1, 0, { position: new Vector(20, 0, 0) });
+      expect(shape.getTotalLength(0)).toBeCloseTo(20 + Math.hypot(10, 10) + 10 + 10, 9);
+      expect(shape.getPointAtLength(10).array()).toEqual([10, 0, 0]);
+      const frame = shape.getFrameAtLength(10, 0);
+      expect(frame.position.approximatelyEquals(new Vector(10, 0, 0))).toBe(true);
+      expect(frame.tangent.approximatelyEquals(new Vector(1, 0, 0))).toBe(true);
+    })
+
+    test('invalidates the hull length of a Bézier segment', () => {
+      const shape = twoContours();
+      const segment = shape.at(1, 1);
+      expect(segment.hullLength()).toBe(30);
+      shape.setVertex(1, 1, 0, { position: new Vector(40, 0, 0) });
+      expect(segment.hullLength()).toBeCloseTo(20 + Math.hypot(10, 10) + 10, 9);
+
+      // the segment also depends on the anchor, which provides its start vertex
+      shape.setVertex(1, 0, 0, { position: new Vector(20, -10, 0) });
+      expect(segment.hullLength()).toBeCloseTo(Math.hypot(20, 10) + Math.hypot(10, 10) + 10, 9);
+    })
+
+    test('keeps a closed contour closed when its anchor is set', () => {
+      const shape = twoContours();
+      shape.setVertex(0, 0, 0, { position: new Vector(-10, 0, 0) });
+      expect(shape.at(0, -1, 0).position.array()).toEqual([-10, 0, 0]);
+      expect(shape.getTotalLength(0)).toBeCloseTo(20 + 10 + 10 + Math.hypot(10, 10), 9);
+    })
+
+    test('picks up in-place edits that are marked', () => {
+      const shape = twoContours();
+      expect(shape.getTotalLength(0)).toBe(40);
+      shape.at(0, 2, 0).position.x = 20;
+      expect(shape.getTotalLength(0)).toBe(40);
+      shape.markChanged(0, 2);
+      expect(shape.getTotalLength(0)).toBeCloseTo(10 + Math.hypot(10, 10) + 20 + 10, 9);
+    })
+
+    test('reuses the frames of contours that did not change', () => {
+      const shape = twoContours();
+      const cache = new VersionedCache();
+      const convert = () => {
+        const converter = new PrimitiveToFramesConverter({ cache });
+        shape.accept(converter);
+        return converter.contours.map(contour => contour.frames);
+      };
+      const [square, teardrop] = convert();
+      shape.setVertex(0, 2, 0, { position: new Vector(10, 20, 0) });
+      const [editedSquare, sameTeardrop] = convert();
+      expect(sameTeardrop).toBe(teardrop);
+      expect(editedSquare).not.toBe(square);
+      expect(editedSquare[2].position.array()).toEqual([10, 20, 0]);
+    })
+
+    test('reuses the tables of segments that did not change', () => {
+      const shape = twoContours();
+      const cache = new VersionedCache();
+      const build = () => {
+        const getter = new PointAtLengthGetter({ cache });
+        shape.accept(getter);
+        return getter;
+      };
+      const before = build();
+      shape.setVertex(0, 2, 0, { position: new Vector(10, 20, 0) });
+      const after = build();
+
+      const positionsOf = getter => getter.pieces.map(piece => piece.positions);
+      const [beforePositions, afterPositions] = [before, after].map(positionsOf);
+      // the edited line and the line after it were rebuilt; everything else was reused
+      expect(afterPositions.map((positions, i) => positions === beforePositions[i]))
+        .toEqual([true, false, false, true, true, true]);
+      expect(after.totalLength).toBeCloseTo(before.totalLength + 10 + Math.hypot(10, 10) - 10, 9);
+    })
+
+    test('reuses tessellations of unchanged segments in a shared cache', () => {
+      const shape = twoContours();
+      const cache = new VersionedCache();
+      const convert = () => {
+        const converter = new PrimitiveToVerticesConverter({ curveDetail: 0.5, cache });
+        shape.accept(converter);
+        return converter.contours;
+      };
+      const before = convert();
+      expect(convert()[1][1]).toBe(before[1][1]);
+
+      shape.setVertex(1, 1, 1, { position: new Vector(30, 20, 0) });
+      const after = convert();
+      expect(after[1][1]).not.toBe(before[1][1]);
+      // the longer control polygon is sampled more finely
+      expect(after[1].length).toBeGreaterThan(before[1].length);
+    })
+  });
+
+  describe('arcLengthProperty(\'integrator\', integrator)', () => {
+    function hairpin() {
+      const shape = createShape();
+      shape.beginShape();
+      shape.vertex(new Vector(0, 0, 0));
+      shape.bezierVertex(new Vector(100, 0, 0));
+      shape.bezierVertex(new Vector(100, 1, 0));
+      shape.bezierVertex(new Vector(0, 1, 0));
+      shape.endShape();
+      return shape;
+    }
+
+    function referenceLength(shape) {
+      const segment = shape.at(0, 1);
+      return simpson(t => segment.getDerivativesAt(t)[1].mag(), 0, 1, 20000);
+    }
+
+    test('adaptive Simpson measures a hairpin more accurately than Simpson', () => {
+      const shape = hairpin();
+      const exact = referenceLength(shape);
+      const simpsonError = Math.abs(shape.getTotalLength() - exact);
+
+      shape.arcLengthProperty('integrator', adaptiveSimpson);
+      const adaptiveError = Math.abs(shape.getTotalLength() - exact);
+      expect(adaptiveError).toBeLessThan(simpsonError);
+
+      shape.arcLengthProperty('integrator', (f, a, b) => adaptiveSimpson(f, a, b, 1e-7));
+      expect(Math.abs(shape.getTotalLength() - exact)).toBeLessThan(1e-5);
+    })
+
+    test('Gauss–Legendre accepts a configurable order', () => {
+      const shape = hairpin();
+      const exact = referenceLength(shape);
+      shape.arcLengthProperties({
+        integrator: (f, a, b) => gaussLegendre(f, a, b, 12),
+        samplesPerPiece: 8
+      });
+      expect(Math.abs(shape.getTotalLength() - exact)).toBeLessThan(constants.TOLERANCE);
+      expect(shape.getPointAtLength(exact / 2).x).toBeCloseTo(100 * 0.75, 0);
+    })
+  });
+
+  describe('beginShape(SWEEP), PrimitiveToSweepConverter', () => {
+    // a straight spine of length 10 along the x-axis
+    function straightSweep() {
+      const shape = createShape();
+      shape.beginShape(constants.SWEEP);
+      shape.vertex(new Vector(0, 0, 0));
+      shape.vertex(new Vector(10, 0, 0));
+      shape.endShape();
+      return shape;
+    }
+
+    test('builds the spine from path primitives, exactly like a path', () => {
+      const sweep = createShape();
+      const path = createShape();
+      for (const [shape, kind] of [[sweep, constants.SWEEP], [path, constants.PATH]]) {
+        shape.beginShape(kind);
+        shape.vertex(new Vector(0, 0, 0));
+        shape.vertex(new Vector(10, 0, 0));
+        shape.bezierVertex(new Vector(20, 0, 0));
+        shape.bezierVertex(new Vector(20, 10, 0));
+        shape.bezierVertex(new Vector(10, 10, 0));
+        shape.splineVertex(new Vector(0, 5, 0));
+        shape.splineVertex(new Vector(-10, 0, 0));
+        shape.endShape(constants.CLOSE);
+      }
+
+      expect(sweep.kind).toBe(constants.SWEEP);
+      expect(sweep.contours[0].kind).toBe(constants.SWEEP);
+      expect(sweep.contours[0].isClosed).toBe(true);
+      expect(sweep.contours[0].primitives.map(primitive => primitive.constructor))
+        .toEqual(path.contours[0].primitives.map(primitive => primitive.constructor));
+      expect(sweep.getTotalLength()).toBeCloseTo(path.getTotalLength(), 9);
+    })
+
+    test('sweeps the unit circle along the spine by default', () => {
+      const converter = new PrimitiveToSweepConverter();
+      straightSweep().accept(converter);
+      const [{ contoursIndex, isClosed, strips }] = converter.contours;
+      expect(contoursIndex).toBe(0);
+      expect(isClosed).toBe(false);
+      expect(strips.length).toBeGreaterThan(8);
+      for (const strip of strips) {
+        expect(strip).toHaveLength(4);
+        for (const { position } of strip) {
+          expect(Math.hypot(position.y, position.z)).toBeCloseTo(1, 3);
+        }
+        expect(strip[0].position.x).toBe(0);
+        expect(strip[2].position.x).toBe(10);
+      }
+    })
+
+    test('maps texture coordinates around the slice and along the spine', () => {
+      const converter = new PrimitiveToSweepConverter();
+      straightSweep().accept(converter);
+      const { strips } = converter.contours[0];
+      expect(strips[0][0].textureCoordinates).toEqual([0, 0]);
+      expect(strips[0][3].textureCoordinates[1]).toBe(1);
+      expect(strips.at(-1)[3].textureCoordinates).toEqual([1, 1]);
+    })
+
+    test('closes the surface along a closed spine', () => {
+      const shape = createShape();
+      shape.beginShape(constants.SWEEP);
+      shape.vertex(new Vector(0, 0, 0));
+      shape.bezierVertex(new Vector(10, 0, 10));
+      shape.bezierVertex(new Vector(10, 10, -10));
+      shape.bezierVertex(new Vector(0, 10, 0));
+      shape.bezierVertex(new Vector(-10, 10, 10));
+      shape.bezierVertex(new Vector(-10, 0, -10));
+      shape.bezierVertex(new Vector(0, 0, 0));
+      shape.endShape(constants.CLOSE);
+
+      const converter = new PrimitiveToSweepConverter();
+      shape.accept(converter);
+      const { isClosed, strips } = converter.contours[0];
+      expect(isClosed).toBe(true);
+      for (const strip of strips) {
+        expect(strip.at(-2).position.approximatelyEquals(strip[0].position, 1e-6)).toBe(true);
+        expect(strip.at(-1).position.approximatelyEquals(strip[1].position, 1e-6)).toBe(true);
+      }
+    })
+
+    test('gives contours the kind of the shape, and skips contours of other kinds', () => {
+      const shape = straightSweep();
+      shape.beginContour();
+      shape.vertex(new Vector(0, 5, 0));
+      shape.vertex(new Vector(10, 5, 0));
+      shape.endContour();
+      shape.beginContour(constants.PATH);
+      shape.vertex(new Vector(0, 10, 0));
+      shape.vertex(new Vector(10, 10, 0));
+      shape.endContour();
+
+      const converter = new PrimitiveToSweepConverter();
+      shape.accept(converter);
+      expect(shape.contours.map(contour => contour.kind))
+        .toEqual([constants.SWEEP, constants.SWEEP, constants.PATH]);
+      expect(converter.contours.map(contour => contour.contoursIndex)).toEqual([0, 1]);
+      for (const strip of converter.contours[1].strips) {
+        for (const { position } of strip) {
+          expect(Math.hypot(position.y - 5, position.z)).toBeCloseTo(1, 3);
+        }
+      }
+    })
+
+    test('keeps the other properties of the spine vertices', () => {
+      const shape = new Shape({ position: new Vector(0, 0, 0), fill: new Color([255, 0, 0, 255]) });
+      shape.beginShape(constants.SWEEP);
+      shape.vertex(new Vector(0, 0, 0));
+      shape.fill(new Color([0, 0, 255, 255]));
+      shape.vertex(new Vector(10, 0, 0));
+      shape.endShape();
+
+      const converter = new PrimitiveToSweepConverter();
+      shape.accept(converter);
+      const [strip] = converter.contours[0].strips;
+      expect(strip[0].fill.array()).toEqual([255, 0, 0, 255]);
+      expect(strip[3].fill.array()).toEqual([0, 0, 255, 255]);
+    })
+
+    test('has no surface for a spine without segments', () => {
+      const shape = createShape();
+      shape.beginShape(constants.SWEEP);
+      shape.vertex(new Vector(0, 0, 0));
+      shape.endShape();
+
+      const converter = new PrimitiveToSweepConverter();
+      shape.accept(converter);
+      expect(converter.contours).toEqual([{ contoursIndex: 0, isClosed: false, strips: [] }]);
+    })
+  });
+
+  describe('sweepSlice(slice)', () => {
+    function straightSweep() {
+      const shape = createShape();
+      shape.beginShape(constants.SWEEP);
+      shape.vertex(new Vector(0, 0, 0));
+      shape.vertex(new Vector(10, 0, 0));
+      shape.endShape();
+      return shape;
+    }
+
+    function line(x1, y1, x2, y2) {
+      const slice = createShape();
+      slice.beginShape();
+      slice.vertex(new Vector(x1, y1, 0));
+      slice.vertex(new Vector(x2, y2, 0));
+      slice.endShape();
+      return slice;
+    }
+
+    function sweep(shape) {
+      const converter = new PrimitiveToSweepConverter();
+      shape.accept(converter);
+      return converter.contours[0].strips;
+    }
+
+    test('maps the x-axis of the slice onto the normal, and its y-axis onto the binormal', () => {
+      const shape = straightSweep();
+      const { normal, binormal } = shape.getFrameAtLength(0);
+
+      shape.sweepSlice(line(0, 0, 2, 0));
+      const [alongX] = sweep(shape);
+      expect(alongX[1].position.copy().sub(alongX[0].position)
+        .approximatelyEquals(normal.copy().mult(2), 1e-9)).toBe(true);
+
+      shape.sweepSlice(line(0, 0, 0, 2));
+      const [alongY] = sweep(shape);
+      expect(alongY[1].position.copy().sub(alongY[0].position)
+        .approximatelyEquals(binormal.copy().mult(2), 1e-9)).toBe(true);
+    })
+
+    test('sweeps an open slice into a ribbon', () => {
+      const shape = straightSweep();
+      shape.sweepSlice(line(-1, 0, 1, 0));
+      const strips = sweep(shape);
+      expect(strips).toHaveLength(1);
+      expect(strips[0]).toHaveLength(4);
+    })
+
+    test('sweeps every path contour of a slice, including curves', () => {
+      const slice = createShape();
+      slice.beginShape();
+      slice.vertex(new Vector(-1, 0, 0));
+      slice.bezierVertex(new Vector(-1, 1, 0));
+      slice.bezierVertex(new Vector(1, 1, 0));
+      slice.bezierVertex(new Vector(1, 0, 0));
+      slice.beginContour();
+      slice.splineVertex(new Vector(-1, -1, 0));
+      slice.splineVertex(new Vector(0, -2, 0));
+      slice.splineVertex(new Vector(1, -1, 0));
+      slice.endContour();
+      slice.endShape();
+
+      const shape = straightSweep();
+      shape.sweepSlice(slice);
+      const converter = new PrimitiveToVerticesConverter({ curveDetail: 4 });
+      slice.accept(converter);
+      const edges = converter.contours.reduce((sum, contour) => sum + contour.length - 1, 0);
+      expect(sweep(shape)).toHaveLength(edges);
+    })
+
+    test('accepts a description of a circle, which may be offset from the spine', () => {
+      const shape = straightSweep();
+      shape.sweepSlice({ shape: constants.CIRCLE, x: 10, y: 0, radius: 2 });
+      const { position, normal } = shape.getFrameAtLength(0);
+      const center = position.copy().add(normal.copy().mult(10));
+      for (const strip of sweep(shape)) {
+        expect(strip[0].position.dist(center)).toBeCloseTo(2, 2);
+      }
+    })
+
+    test('restores the unit circle when passed null', () => {
+      const shape = straightSweep();
+      shape.sweepSlice(line(-1, 0, 1, 0));
+      shape.sweepSlice(null);
+      for (const strip of sweep(shape)) {
+        expect(strip[0].position.mag()).toBeCloseTo(1, 3);
+      }
+    })
+
+    test('throws for anything other than a shape or a description of a primitive shape', () => {
+      const shape = straightSweep();
+      expect(() => shape.sweepSlice({ shape: 'blob' })).toThrow();
+      expect(() => shape.sweepSlice([0, 1])).toThrow();
+    })
+  });
+});